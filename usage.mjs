@@ -4,9 +4,13 @@
  * by Maciej Grabek
  */
 
-import { readFileSync, existsSync, watchFile, writeFileSync, unlinkSync } from 'fs';
-import { homedir } from 'os';
-import { join } from 'path';
+import {
+  readFileSync, existsSync, watchFile, writeFileSync, unlinkSync, renameSync, appendFileSync,
+  readdirSync, statSync, openSync, readSync, fstatSync, closeSync, copyFileSync,
+} from 'fs';
+import { homedir, userInfo } from 'os';
+import { createHmac, createHash } from 'crypto';
+import { join, basename, resolve as resolvePath } from 'path';
 import { createInterface } from 'readline';
 import https from 'https';
 
@@ -56,21 +60,181 @@ let spinnerIndex = 0;
 let lastRefreshTime = Date.now();
 let progressInterval = null;
 
-const STATS_FILE = join(homedir(), '.claude', 'stats-cache.json');
-const GOALS_FILE = join(homedir(), '.claude', 'claude-meter-goals.json');
-const AUTH_FILE = join(homedir(), '.claude', 'claude-meter-auth.json');
+// Shared by all profiles
 const UPDATE_CACHE_FILE = join(homedir(), '.claude', 'claude-meter-update-cache.json');
+const CONFIG_FILE = join(homedir(), '.claude', 'claude-meter.json');
+// Config keys that used to have files of their own; still read until moved into the config
+const LEGACY_CONFIG_FILES = {
+  prices: join(homedir(), '.claude', 'claude-meter-prices.json'),
+  templates: join(homedir(), '.claude', 'claude-meter-templates.json'),
+};
 const GITHUB_REPO = 'maciejgrabek/claude-meter-cli';
 const UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in ms
 
-// Parse args
-const args = process.argv.slice(2);
+// Config file - every key is optional, and CLAUDE_METER_<KEY> env vars override
+// single keys (e.g. CLAUDE_METER_THRESHOLDS_WEEK=5000, CLAUDE_METER_SECTIONS=quota,stats)
+const NOTIFY_EVENTS = ['quota', 'quota-reset', 'goal', 'streak', 'streak-broken', 'daily-summary'];
+const WEBHOOK_EVENTS = ['daily-summary', 'goal', 'quota', 'streak-broken'];
+const NOTIFY_CHANNELS = ['bell', 'osc9', 'osc777', 'notify-send', 'command'];
+const ARCHIVE_MERGE_RULES = ['max', 'latest'];
+const DASHBOARD_SECTIONS = ['streak', 'goals', 'budgets', 'quota', 'stats', 'models', 'heatmap', 'chart'];
+// Flags that choose the same thing. A default flag is dropped when the command line
+// already sets one from its group, so `--month` beats a default `--week`.
+const DEFAULT_ARG_GROUPS = [
+  ['--today', '--week', '--month', '--from', '--to'],
+  ['--json', '--compact', '--export', '--format', '--template', '--textfile', '--serve'],
+  ['--models', '--projects', '--tools', '--punchcard', '--calendar', '--sessions', '--session', '--profiles', '--quota-history'],
+];
+
+const CONFIG_SCHEMA = {
+  header: { type: 'boolean', default: true },
+  refreshInterval: { type: 'integer', min: 1, default: 30 },
+  sections: { type: 'list', values: DASHBOARD_SECTIONS, default: DASHBOARD_SECTIONS },
+  heatmapDays: { type: 'integer', min: 1, max: 365, default: 21 },
+  chartDays: { type: 'integer', min: 1, max: 365, default: 10 },
+  calendarWeeks: { type: 'integer', min: 1, max: 520, default: 52 },
+  // Message counts that show as hottest (red) in the dashboard table
+  thresholds: {
+    type: 'object',
+    properties: {
+      today: { type: 'integer', min: 1, default: 5000 },
+      week: { type: 'integer', min: 1, default: 30000 },
+      month: { type: 'integer', min: 1, default: 100000 },
+    },
+  },
+  // Quota utilization (%) from which bars turn each color; below cyan they're green
+  quotaColors: {
+    type: 'object',
+    properties: {
+      cyan: { type: 'integer', min: 0, max: 100, default: 25 },
+      yellow: { type: 'integer', min: 0, max: 100, default: 50 },
+      red: { type: 'integer', min: 0, max: 100, default: 75 },
+      brightRed: { type: 'integer', min: 0, max: 100, default: 90 },
+    },
+  },
+  // Appended to the command line, e.g. ["--no-update-check", "--week"]
+  defaultArgs: { type: 'list', default: [] },
+  // Watch mode notifications (with --notify, or enabled here)
+  notifications: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      events: { type: 'list', values: NOTIFY_EVENTS, default: ['quota', 'quota-reset', 'goal', 'streak'] },
+      channels: { type: 'list', values: NOTIFY_CHANNELS, default: ['bell', 'osc9', 'notify-send'] },
+      command: { type: 'string', default: '' },
+      quotaThresholds: { type: 'list', items: 'integer', min: 1, max: 100, default: [80, 95] },
+      hysteresis: { type: 'integer', min: 0, max: 50, default: 5 },
+      streakHour: { type: 'integer', min: 0, max: 23, default: 20 },
+    },
+  },
+  // Named Claude Code setups for --profile, e.g. { "work": { "configDir": "~/.claude-work" } }
+  profiles: {
+    type: 'map',
+    items: {
+      configDir: { type: 'string', required: true },
+    },
+    default: {},
+  },
+  // Long-term copy of every day seen in stats-cache.json - "max" keeps the highest
+  // count per field, "latest" the most recent snapshot of a day
+  archive: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean', default: true },
+      merge: { type: 'string', values: ARCHIVE_MERGE_RULES, default: 'max' },
+    },
+  },
+  // Price overrides in USD per million tokens, by model key ("opus-4.5") or model ID
+  prices: {
+    type: 'map',
+    items: {
+      input: { type: 'number', min: 0 },
+      output: { type: 'number', min: 0 },
+      cacheWrite: { type: 'number', min: 0 },
+      cacheRead: { type: 'number', min: 0 },
+      blended: { type: 'number', min: 0 },
+    },
+    default: {},
+  },
+  // Named output templates for --template, e.g. { "tmux": "{today.messages:short}" }
+  templates: { type: 'map', items: 'string', default: {} },
+  // Name written into JSON exports, so `claude-meter team` can tell members apart (default: OS user name)
+  user: { type: 'string', default: '' },
+  // HTTP endpoints for events, from watch mode and --notify-once
+  webhooks: {
+    type: 'list',
+    items: {
+      url: { type: 'string', pattern: /^https?:\/\//, describe: 'an http(s) URL', required: true },
+      format: { type: 'string', values: ['json', 'slack'], default: 'json' },
+      secret: { type: 'string', default: '' },
+      events: { type: 'list', values: NOTIFY_EVENTS, default: WEBHOOK_EVENTS },
+    },
+    default: [],
+  },
+};
+
+// Parse args - config defaultArgs only fill in what the command line leaves open
+const cliArgs = process.argv.slice(2);
+const config = loadConfig(cliArgs);
+const args = [...cliArgs, ...filterDefaultArgs(config.defaultArgs, cliArgs)];
+
+// Profiles - each one is a Claude Code config dir (like CLAUDE_CONFIG_DIR) with
+// its own stats, transcripts and credentials. claude-meter keeps its goals,
+// auth and caches for a profile next to them, so nothing is shared by accident.
+const profileIndex = args.findIndex(a => a === '--profile');
+const profileArg = profileIndex !== -1 ? args[profileIndex + 1] : null;
+const profilesView = args.includes('--profiles');
+const profileSummaryArg = args.includes('--profile-summary'); // internal, spawned by --profiles
+const CLAUDE_DIR = resolveProfileDir(profileArg);
+
+const STATS_FILE = join(CLAUDE_DIR, 'stats-cache.json');
+const GOALS_FILE = join(CLAUDE_DIR, 'claude-meter-goals.json');
+const BUDGETS_FILE = join(CLAUDE_DIR, 'claude-meter-budgets.json');
+const AUTH_FILE = join(CLAUDE_DIR, 'claude-meter-auth.json');
+const QUOTA_HISTORY_FILE = join(CLAUDE_DIR, 'claude-meter-quota-history.jsonl');
+const QUOTA_CACHE_FILE = join(CLAUDE_DIR, 'claude-meter-quota-cache.json');
+const LIVE_CACHE_FILE = join(CLAUDE_DIR, 'claude-meter-live-cache.json');
+const NOTIFY_STATE_FILE = join(CLAUDE_DIR, 'claude-meter-notify-state.json');
+const OUTBOX_FILE = join(CLAUDE_DIR, 'claude-meter-outbox.jsonl');
+const ARCHIVE_FILE = join(CLAUDE_DIR, 'claude-meter-archive.json');
+migrateLegacyStateFiles();
 
 // Commands
 const showHelp = args.includes('-h') || args.includes('--help');
 const showVersion = args.includes('-v') || args.includes('--version');
 const jsonOutput = args.includes('--json');
 const compactOutput = args.includes('--compact');
+const modelsView = args.includes('--models');
+const projectsView = args.includes('--projects');
+const toolsView = args.includes('--tools');
+const punchcardView = args.includes('--punchcard');
+const calendarView = args.includes('--calendar');
+const weeksIndex = args.findIndex(a => a === '--weeks');
+const weeksArg = weeksIndex !== -1 ? args[weeksIndex + 1] : null;
+const tokenSplitArg = args.includes('--token-split');
+const noLive = args.includes('--no-live');
+const noArchive = args.includes('--no-archive');
+const archiveEnabled = config.archive.enabled && !noArchive;
+const importIndex = args.findIndex(a => a === '--import');
+const importArg = importIndex !== -1 ? args[importIndex + 1] : null;
+const forceImport = args.includes('--force');
+
+// Team report: claude-meter team <dir|files...>
+const teamView = cliArgs[0] === 'team';
+
+// Reports: claude-meter report --period week|month [--md|--html] [-o file]
+const reportView = cliArgs[0] === 'report';
+const reportPeriodIndex = args.findIndex(a => a === '--period');
+const reportPeriod = reportPeriodIndex !== -1 ? args[reportPeriodIndex + 1] : 'week';
+const reportOutputIndex = args.findIndex(a => a === '-o' || a === '--output');
+const reportOutput = reportOutputIndex !== -1 ? args[reportOutputIndex + 1] : null;
+
+// Session drill-down
+const sessionsIndex = args.findIndex(a => a === '--sessions');
+const sessionsView = sessionsIndex !== -1;
+const sessionsLimit = /^\d+$/.test(args[sessionsIndex + 1] || '') ? parseInt(args[sessionsIndex + 1]) : 15;
+const sessionIndex = args.findIndex(a => a === '--session');
+const sessionIdArg = sessionIndex !== -1 ? args[sessionIndex + 1] : null;
 const filterToday = args.includes('--today');
 const filterWeek = args.includes('--week');
 const filterMonth = args.includes('--month');
@@ -79,12 +243,41 @@ const watchMode = args.includes('-w') || args.includes('--watch');
 // Export handling
 const exportIndex = args.findIndex(a => a === '--export');
 const exportFile = exportIndex !== -1 ? args[exportIndex + 1] : null;
+const formatIndex = args.findIndex(a => a === '--format');
+const formatArg = formatIndex !== -1 ? args[formatIndex + 1] : null;
+
+// Output templates; colors default to on for a TTY
+const templateIndex = args.findIndex(a => a === '--template');
+const templateArg = templateIndex !== -1 ? args[templateIndex + 1] : null;
+const templateMode = templateIndex !== -1;
+const templateColors = args.includes('--color') || (!args.includes('--no-color') && process.stdout.isTTY && !process.env.NO_COLOR);
+
+// Metrics exporter
+const serveIndex = args.findIndex(a => a === '--serve');
+const servePort = serveIndex !== -1 ? args[serveIndex + 1] : null;
+const textfileIndex = args.findIndex(a => a === '--textfile');
+const textfilePath = textfileIndex !== -1 ? args[textfileIndex + 1] : null;
+
+// Date range handling
+const fromIndex = args.findIndex(a => a === '--from');
+const fromArg = fromIndex !== -1 ? args[fromIndex + 1] : null;
+const toIndex = args.findIndex(a => a === '--to');
+const toArg = toIndex !== -1 ? args[toIndex + 1] : null;
 
 // Goals handling
 const goalsIndex = args.findIndex(a => a === '--goals');
 const goalsArg = goalsIndex !== -1;
 const goalsClear = args.includes('--goals-clear');
 
+// Budgets handling
+const budgetIndex = args.findIndex(a => a === '--budget');
+const budgetClearIndex = args.findIndex(a => a === '--budget-clear');
+const checkBudgetArg = args.includes('--check-budget');
+
+// Watch mode notifications
+const notifyArg = args.includes('--notify');
+const notifyOnceArg = args.includes('--notify-once');
+
 // Auth handling
 const authArg = args.includes('--auth');
 const authLogout = args.includes('--logout');
@@ -92,12 +285,234 @@ const authLogout = args.includes('--logout');
 // Popup window
 const popupArg = args.includes('--popup');
 
+// Quota history view
+const quotaHistoryArg = args.includes('--quota-history');
+
+// Claude Code status line
+const statuslineArg = args.includes('--statusline');
+const refreshQuotaCacheArg = args.includes('--refresh-quota-cache'); // internal, spawned by --statusline
+
 // Update check
 const noUpdateCheck = args.includes('--no-update-check');
 
 // Watch interval
-const intervalArg = args.find(a => !a.startsWith('-') && !isNaN(a) && args.indexOf(a) !== exportIndex + 1);
-const refreshInterval = intervalArg ? parseInt(intervalArg) * 1000 : 30000;
+// (skip values that belong to options taking an argument)
+const configIndex = args.findIndex(a => a === '--config');
+const optionValueIndexes = new Set([configIndex, profileIndex, exportIndex, formatIndex, serveIndex, textfileIndex, fromIndex, toIndex, sessionsIndex, sessionIndex, weeksIndex, importIndex, templateIndex, reportPeriodIndex, reportOutputIndex].filter(i => i !== -1).map(i => i + 1));
+const intervalArg = args.find((a, i) => !a.startsWith('-') && !isNaN(a) && !optionValueIndexes.has(i));
+const teamPaths = teamView ? args.filter((a, i) => i > 0 && !a.startsWith('-') && a !== intervalArg && !optionValueIndexes.has(i)) : [];
+const refreshInterval = (intervalArg ? parseInt(intervalArg) : config.refreshInterval) * 1000;
+
+function camelToEnv(path) {
+  return `CLAUDE_METER_${path.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase()}`;
+}
+
+function parseEnvValue(raw, rule) {
+  if (rule.type === 'boolean') {
+    if (/^(1|true|yes|on)$/i.test(raw)) return true;
+    if (/^(0|false|no|off)$/i.test(raw)) return false;
+    return raw;
+  }
+  if (rule.type === 'integer') return /^-?\d+$/.test(raw.trim()) ? parseInt(raw) : raw;
+  if (rule.type === 'list') {
+    const items = raw.split(/[,\s]+/).filter(Boolean);
+    return rule.items === 'integer' ? items.map(v => /^\d+$/.test(v) ? parseInt(v) : v) : items;
+  }
+  return raw;
+}
+
+function describeRule(rule) {
+  if (rule.type === 'integer') {
+    if (rule.max !== undefined) return `an integer from ${rule.min} to ${rule.max}`;
+    return `an integer >= ${rule.min}`;
+  }
+  if (rule.type === 'number') return `a number >= ${rule.min}`;
+  if (rule.type === 'list') {
+    if (rule.items === 'integer') return `a list of integers from ${rule.min} to ${rule.max}`;
+    if (rule.items) return 'a list of objects';
+    return rule.values ? `a list of: ${rule.values.join(', ')}` : 'a list of strings';
+  }
+  if (rule.type === 'map') return rule.items === 'string' ? 'an object of named strings' : 'an object of named entries';
+  if (rule.type === 'string') return rule.describe || (rule.values ? `one of: ${rule.values.join(', ')}` : 'a string');
+  return rule.type === 'boolean' ? 'true or false' : 'an object';
+}
+
+// Returns defaults merged with `value`, collecting a message per problem in `errors`
+function validateConfig(value, schema, path, errors, fromEnv) {
+  const result = {};
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path || 'config'}: expected an object`);
+    value = {};
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!schema[key]) {
+      const valid = Object.keys(schema).join(', ');
+      errors.push(`${path}${key}: unknown setting (valid: ${valid})`);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const name = `${path}${key}`;
+    const given = value[key];
+
+    if (rule.type === 'object') {
+      result[key] = validateConfig(given ?? {}, rule.properties, `${name}.`, errors, fromEnv);
+      continue;
+    }
+
+    result[key] = rule.default;
+    if (given === undefined) {
+      if (rule.required) errors.push(`${name}: required`);
+      continue;
+    }
+
+    // Named entries, e.g. profiles - each one validated against `items`
+    if (rule.type === 'map') {
+      if (rule.items === 'string') {
+        const valid = given && typeof given === 'object' && !Array.isArray(given) && Object.values(given).every(v => typeof v === 'string');
+        if (valid) result[key] = given;
+        else errors.push(`${name}: expected ${describeRule(rule)}, got ${JSON.stringify(given)}`);
+      } else if (given && typeof given === 'object' && !Array.isArray(given)) {
+        result[key] = Object.fromEntries(Object.entries(given)
+          .map(([entry, item]) => [entry, validateConfig(item, rule.items, `${name}.${entry}.`, errors, fromEnv)]));
+      } else {
+        errors.push(`${name}: expected ${describeRule(rule)}, got ${JSON.stringify(given)}`);
+      }
+      continue;
+    }
+
+    // Lists of objects, e.g. webhooks - each one validated against `items`
+    if (rule.type === 'list' && typeof rule.items === 'object') {
+      if (Array.isArray(given)) {
+        result[key] = given.map((item, i) => validateConfig(item, rule.items, `${name}[${i}].`, errors, fromEnv));
+      } else {
+        errors.push(`${name}: expected ${describeRule(rule)}, got ${JSON.stringify(given)}`);
+      }
+      continue;
+    }
+
+    let valid;
+    const inRange = v => Number.isInteger(v) && v >= rule.min && (rule.max === undefined || v <= rule.max);
+    if (rule.type === 'boolean') {
+      valid = typeof given === 'boolean';
+    } else if (rule.type === 'integer') {
+      valid = inRange(given);
+    } else if (rule.type === 'number') {
+      valid = Number.isFinite(given) && given >= rule.min;
+    } else if (rule.type === 'string') {
+      valid = typeof given === 'string' && (!rule.values || rule.values.includes(given)) && (!rule.pattern || rule.pattern.test(given));
+    } else if (rule.items === 'integer') {
+      valid = Array.isArray(given) && given.every(inRange);
+    } else {
+      valid = Array.isArray(given) && given.every(v => typeof v === 'string' && (!rule.values || rule.values.includes(v)));
+    }
+
+    if (valid) {
+      result[key] = given;
+    } else {
+      const source = fromEnv.has(name) ? ` (from ${camelToEnv(name)})` : '';
+      errors.push(`${name}${source}: expected ${describeRule(rule)}, got ${JSON.stringify(given)}`);
+    }
+  }
+
+  return result;
+}
+
+function applyEnvOverrides(value, schema, fromEnv, path = '') {
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule.type === 'object') {
+      value[key] = value[key] && typeof value[key] === 'object' ? value[key] : {};
+      applyEnvOverrides(value[key], rule.properties, fromEnv, `${path}${key}.`);
+      continue;
+    }
+    if (rule.type === 'map' || typeof rule.items === 'object') continue; // maps and lists of objects only come from the file
+    const raw = process.env[camelToEnv(`${path}${key}`)];
+    if (raw === undefined) continue;
+    value[key] = parseEnvValue(raw, rule);
+    fromEnv.add(`${path}${key}`);
+  }
+  return value;
+}
+
+// defaultArgs the command line leaves open - a flag drops its own default and
+// every default from its group
+function filterDefaultArgs(defaults, argv) {
+  // Each flag keeps the values that follow it, e.g. ["--from", "7d"]
+  const entries = [];
+  for (const arg of defaults) {
+    if (arg.startsWith('-') || !entries.length) entries.push([arg]);
+    else entries[entries.length - 1].push(arg);
+  }
+
+  const given = new Set(argv.filter(a => a.startsWith('-')));
+  return entries
+    .filter(([flag]) => {
+      if (given.has(flag)) return false;
+      const group = DEFAULT_ARG_GROUPS.find(g => g.includes(flag));
+      return !group || !group.some(f => given.has(f));
+    })
+    .flat();
+}
+
+// Config errors are fatal - a typo silently falling back to defaults is worse.
+// --help and --statusline still warn and carry on, so they always work.
+function loadConfig(argv) {
+  const index = argv.indexOf('--config');
+  const explicit = index !== -1 ? argv[index + 1] : process.env.CLAUDE_METER_CONFIG;
+  const path = explicit || CONFIG_FILE;
+  let raw = {};
+
+  // A broken config shouldn't hide the help or blank the Claude Code status bar
+  const lenient = ['-h', '--help', '--statusline'].some(flag => argv.includes(flag));
+  const fail = (message, details = [], hint = null) => {
+    const color = lenient ? c.yellow : c.red;
+    console.error(`${color}${lenient ? 'Warning' : 'Error'}: ${message}${lenient ? ' - using defaults' : ''}${details.length ? ':' : ''}${c.reset}`);
+    for (const detail of details) console.error(`  ${c.yellow}${detail}${c.reset}`);
+    if (lenient) return validateConfig({}, CONFIG_SCHEMA, '', [], new Set());
+    if (hint) console.log(`${c.dim}${hint}${c.reset}`);
+    process.exit(1);
+  };
+
+  if (index !== -1 && (!explicit || explicit.startsWith('-'))) {
+    return fail('Missing path after --config', [], 'Usage: claude-meter --config <path>');
+  }
+
+  if (existsSync(path)) {
+    try {
+      raw = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (err) {
+      return fail(`Could not read config ${path}: ${err.message}`);
+    }
+  } else if (explicit) {
+    return fail(`Config file not found: ${path}`);
+  }
+
+  for (const [key, file] of Object.entries(LEGACY_CONFIG_FILES)) {
+    if (raw?.[key] !== undefined || !existsSync(file)) continue;
+    try {
+      raw = { ...raw, [key]: JSON.parse(readFileSync(file, 'utf8')) };
+      console.error(`${c.yellow}Warning: ${file} is deprecated - move its contents to "${key}" in ${path}${c.reset}`);
+    } catch (err) {
+      console.error(`${c.yellow}Warning: ignoring ${file}: ${err.message}${c.reset}`);
+    }
+  }
+
+  const errors = [];
+  const fromEnv = new Set();
+  const settings = validateConfig(applyEnvOverrides(raw, CONFIG_SCHEMA, fromEnv), CONFIG_SCHEMA, '', errors, fromEnv);
+
+  const q = settings.quotaColors;
+  if (!(q.cyan <= q.yellow && q.yellow <= q.red && q.red <= q.brightRed)) {
+    errors.push('quotaColors: cutoffs must increase from cyan to yellow, red and brightRed');
+  }
+
+  if (errors.length) {
+    return fail(`Invalid config${existsSync(path) ? ` in ${path}` : ''}`, errors, `Environment variables override keys, e.g. ${camelToEnv('thresholds.week')}=5000`);
+  }
+
+  return settings;
+}
 
 function printHelp() {
   console.log(`
@@ -106,38 +521,98 @@ ${c.dim}by Maciej Grabek${c.reset}
 
 ${c.bold}USAGE${c.reset}
   claude-meter [options]
+  claude-meter team <folder|files...> [options]
+  claude-meter report [--period week|month] [--md|--html] [-o file]
 
 ${c.bold}OPTIONS${c.reset}
   ${c.cyan}-h, --help${c.reset}        Show this help message
   ${c.cyan}-v, --version${c.reset}     Show version number
   ${c.cyan}-w, --watch${c.reset}       Watch mode (auto-refresh)
   ${c.cyan}-w <seconds>${c.reset}      Watch mode with custom interval (default: 30)
+  ${c.cyan}--notify${c.reset}          Notify on quota thresholds, resets, goals and streak risk (watch mode)
+  ${c.cyan}--notify-once${c.reset}     Check for events once and send webhooks (for cron)
 
 ${c.bold}OUTPUT FORMATS${c.reset}
   ${c.cyan}--json${c.reset}            Output raw JSON data
   ${c.cyan}--compact${c.reset}         Minimal one-line summary
+  ${c.cyan}--models${c.reset}          Per-model token breakdown with share bars
+  ${c.cyan}--token-split${c.reset}     Input/output/cache tokens and cache hit ratio (from transcripts)
+  ${c.cyan}--projects${c.reset}        Usage per project, from session transcripts
+  ${c.cyan}--tools${c.reset}           Tool calls by tool name, MCP tools grouped by server
+  ${c.cyan}--punchcard${c.reset}       Messages by weekday and hour of day, with peak hours
+  ${c.cyan}--calendar${c.reset}        Contribution calendar of daily messages (last 52 weeks)
+  ${c.cyan}--weeks <n>${c.reset}       Number of weeks in the calendar (default: 52)
+  ${c.cyan}--sessions [n]${c.reset}    Last n sessions (default 15) with duration and activity
+  ${c.cyan}--session <id>${c.reset}    Per-turn timeline of one session (id prefix is enough)
+
+${c.bold}TEMPLATES${c.reset}
+  ${c.cyan}--template '<tpl>'${c.reset}  Custom output, e.g. '{today.messages} msgs · {quota.five_hour.pct}%'
+  ${c.cyan}--template <name>${c.reset}   Named template from "templates" in ~/.claude/claude-meter.json
+  ${c.cyan}--color${c.reset}, ${c.cyan}--no-color${c.reset}  Force template colors on/off
 
 ${c.bold}FILTERS${c.reset}
   ${c.cyan}--today${c.reset}           Show only today's stats
   ${c.cyan}--week${c.reset}            Show last 7 days stats
   ${c.cyan}--month${c.reset}           Show this month's stats
+  ${c.cyan}--from <date>${c.reset}     Start of range: YYYY-MM-DD, 7d, 4w, 3m, yesterday,
+                    this-week, last-week, this-month, last-month,
+                    this-quarter, last-quarter, this-year, last-year, ytd
+  ${c.cyan}--to <date>${c.reset}       End of range (same forms, default: today)
+
+${c.bold}METRICS${c.reset}
+  ${c.cyan}--serve <port>${c.reset}    Serve OpenMetrics on http://127.0.0.1:<port>/metrics
+  ${c.cyan}--textfile <path>${c.reset} Write metrics for node_exporter's textfile collector
 
 ${c.bold}GOALS${c.reset}
   ${c.cyan}--goals <daily> <weekly>${c.reset}   Set message goals (e.g., --goals 1000 5000)
   ${c.cyan}--goals-clear${c.reset}             Clear all goals
 
+${c.bold}BUDGETS${c.reset}
+  ${c.cyan}--budget <metric> <period> <limit> [warn%]${c.reset}
+                    Set a ceiling, e.g. --budget opus-tokens week 20M 75
+                    Metrics: messages, tokens, opus-tokens (day, week), quota (5h, 7d)
+  ${c.cyan}--budget-clear [metric period]${c.reset}  Clear one budget, or all
+  ${c.cyan}--check-budget${c.reset}    Check budgets; exit 0 ok, 10 warning, 11 over budget
+
 ${c.bold}EXPORT${c.reset}
-  ${c.cyan}--export <file>${c.reset}   Export stats to JSON file
+  ${c.cyan}--export <file>${c.reset}   Export stats to file (format from extension)
+  ${c.cyan}--format <fmt>${c.reset}    Export format: json, csv or ndjson (to stdout without --export)
+
+${c.bold}REPORTS${c.reset}
+  ${c.cyan}report${c.reset}            Markdown report: totals vs the previous period, daily chart,
+                    model mix, best day, streak and goals
+  ${c.cyan}--period <p>${c.reset}      week (last 7 days, default) or month (month to date)
+  ${c.cyan}--md${c.reset}, ${c.cyan}--html${c.reset}       Report format (default: from -o extension, else Markdown)
+  ${c.cyan}-o <file>${c.reset}         Write the report to a file instead of stdout
+
+${c.bold}TEAM${c.reset}
+  ${c.cyan}team <folder|files...>${c.reset}  Merge JSON exports from several people into one dashboard
+                    Filters apply; --json, or --export/--format csv for one row per member
 
 ${c.bold}AUTHENTICATION${c.reset}
   ${c.cyan}--auth${c.reset}            Link to Claude CLI OAuth (or use API key as fallback)
   ${c.cyan}--logout${c.reset}          Remove stored credentials
 
+${c.bold}QUOTA${c.reset}
+  ${c.cyan}--quota-history${c.reset}   Utilization sparkline and forecast for current windows
+
+${c.bold}STATUS LINE${c.reset}
+  ${c.cyan}--statusline${c.reset}      One-line status for Claude Code's statusLine command
+
 ${c.bold}WINDOW${c.reset}
   ${c.cyan}--popup${c.reset}           Open in a new terminal window (cross-platform)
 
 ${c.bold}OTHER${c.reset}
   ${c.cyan}--no-update-check${c.reset} Skip checking for new versions
+  ${c.cyan}--no-live${c.reset}         Don't fill in days missing from the stats cache from transcripts
+  ${c.cyan}--no-archive${c.reset}      Don't read or update the history archive (~/.claude/claude-meter-archive.json)
+  ${c.cyan}--import <path>${c.reset}   Add old JSON exports (a file or folder) to the history archive
+  ${c.cyan}--force${c.reset}           With --import, also take exports made by another user
+  ${c.cyan}--config <path>${c.reset}   Config file (default: ~/.claude/claude-meter.json)
+
+${c.bold}PROFILES${c.reset}
+  ${c.cyan}--profile <name>${c.reset}  Use a profile from the config file (its own stats, goals, auth)
+  ${c.cyan}--profiles${c.reset}        Dashboard with all profiles side by side
 
 ${c.bold}WATCH MODE CONTROLS${c.reset}
   ${c.cyan}q${c.reset}                 Quit watch mode
@@ -150,8 +625,14 @@ ${c.bold}EXAMPLES${c.reset}
   ${c.dim}$${c.reset} claude-meter --popup            ${c.dim}# Open in new terminal window${c.reset}
   ${c.dim}$${c.reset} claude-meter --compact          ${c.dim}# Quick summary${c.reset}
   ${c.dim}$${c.reset} claude-meter --today --json     ${c.dim}# Today's stats as JSON${c.reset}
+  ${c.dim}$${c.reset} claude-meter --from 2026-09-08 --to 2026-09-19
+  ${c.dim}$${c.reset} claude-meter --from last-month --to last-month  ${c.dim}# Whole previous month${c.reset}
+  ${c.dim}$${c.reset} claude-meter --template '{today.messages:short} · {quota.five_hour.pct}%' --no-color
   ${c.dim}$${c.reset} claude-meter --goals 500 3000   ${c.dim}# Set daily/weekly goals${c.reset}
   ${c.dim}$${c.reset} claude-meter --export stats.json${c.reset}
+  ${c.dim}$${c.reset} claude-meter --from last-month --to last-month --export usage.csv
+  ${c.dim}$${c.reset} claude-meter team ~/shared/exports --week
+  ${c.dim}$${c.reset} claude-meter report --period month -o retro.html
 `);
 }
 
@@ -207,11 +688,189 @@ function setGoals() {
   console.log(`  ${c.bold}Weekly:${c.reset} ${formatNumber(goals.weekly)} messages`);
 }
 
+// Budgets - ceilings rather than targets. A budget is critical at its limit
+// and a warning from warn% of it (80% by default).
+const BUDGET_METRICS = {
+  messages: { label: 'Messages', periods: ['day', 'week'] },
+  tokens: { label: 'Tokens', periods: ['day', 'week'] },
+  'opus-tokens': { label: 'Opus tokens', periods: ['day', 'week'] },
+  quota: { label: 'Quota', periods: ['5h', '7d'] },
+};
+const BUDGET_WARNING = 80;
+// Apart from 1, which every error exits with, so scripts can tell them apart
+const BUDGET_EXIT_CODES = { ok: 0, unknown: 0, warning: 10, critical: 11 };
+
+function loadBudgets() {
+  try {
+    if (existsSync(BUDGETS_FILE)) {
+      return JSON.parse(readFileSync(BUDGETS_FILE, 'utf8'));
+    }
+  } catch {}
+  return {};
+}
+
+function saveBudgets(budgets) {
+  writeFileSync(BUDGETS_FILE, JSON.stringify(budgets, null, 2));
+}
+
+// "2000", "500k", "1.5M" -> number
+function parseAmount(value) {
+  const match = /^(\d+(?:\.\d+)?)([kmb]?)$/i.exec(value || '');
+  if (!match) return null;
+  const multiplier = { '': 1, k: 1e3, m: 1e6, b: 1e9 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function budgetUsage() {
+  console.log(`${c.dim}Usage: claude-meter --budget <metric> <period> <limit> [warn%]${c.reset}`);
+  console.log(`${c.dim}Metrics: ${Object.entries(BUDGET_METRICS).map(([m, def]) => `${m} (${def.periods.join(', ')})`).join(', ')}${c.reset}`);
+}
+
+function setBudget() {
+  const [metric, period, limitArg, warnArg] = args.slice(budgetIndex + 1, budgetIndex + 5);
+  const definition = BUDGET_METRICS[metric];
+  const limit = parseAmount(limitArg);
+  const warning = warnArg && !warnArg.startsWith('-') ? Number(warnArg) : BUDGET_WARNING;
+
+  if (!definition || !definition.periods.includes(period)) {
+    console.error(`${c.red}Error: Unknown budget '${metric || ''} ${period || ''}'${c.reset}`);
+    budgetUsage();
+    process.exit(1);
+  }
+  if (!limit || (metric === 'quota' && limit > 100)) {
+    console.error(`${c.red}Error: Invalid limit '${limitArg || ''}'${c.reset}`);
+    console.log(`${c.dim}Use a number like 2000, 500k or 1.5M (quota: a percentage up to 100)${c.reset}`);
+    process.exit(1);
+  }
+  if (!Number.isFinite(warning) || warning <= 0 || warning > 100) {
+    console.error(`${c.red}Error: Invalid warning level '${warnArg}' - use a percentage of the limit (1-100)${c.reset}`);
+    process.exit(1);
+  }
+
+  const budgets = loadBudgets();
+  budgets[`${metric}:${period}`] = { limit, warning, setAt: new Date().toISOString() };
+  saveBudgets(budgets);
+
+  const shown = metric === 'quota' ? `${limit}%` : formatNumber(limit);
+  console.log(`${c.green}✓${c.reset} Budget set!`);
+  console.log(`  ${c.bold}${definition.label} / ${period}:${c.reset} ${shown} ${c.dim}(warning at ${warning}%)${c.reset}`);
+}
+
+function clearBudgets() {
+  const [metric, period] = args.slice(budgetClearIndex + 1, budgetClearIndex + 3);
+  const budgets = loadBudgets();
+
+  try {
+    if (metric && !metric.startsWith('-')) {
+      const key = `${metric}:${period}`;
+      if (!budgets[key]) {
+        console.log(`${c.dim}No budget set for ${metric} ${period || ''}${c.reset}`);
+        return;
+      }
+      delete budgets[key];
+      if (Object.keys(budgets).length) saveBudgets(budgets);
+      else unlinkSync(BUDGETS_FILE);
+      console.log(`${c.green}✓${c.reset} Budget cleared: ${metric} ${period}`);
+    } else if (existsSync(BUDGETS_FILE)) {
+      unlinkSync(BUDGETS_FILE);
+      console.log(`${c.green}✓${c.reset} Budgets cleared`);
+    } else {
+      console.log(`${c.dim}No budgets set${c.reset}`);
+    }
+  } catch (err) {
+    console.error(`${c.red}Error clearing budgets: ${err.message}${c.reset}`);
+  }
+}
+
+function measureBudget(metric, period, data, quota) {
+  if (metric === 'quota') {
+    const window = quota?.[period === '5h' ? 'five_hour' : 'seven_day'];
+    return window ? window.utilization || 0 : null;
+  }
+
+  const activity = data.dailyActivity || [];
+  const todayStr = formatDate(new Date());
+  const days = period === 'day' ? activity.filter(d => d.date === todayStr) : getLast7Days(activity);
+  if (metric === 'messages') return aggregateStats(days).messages;
+
+  const tokens = aggregateTokens(data.dailyModelTokens || [], days);
+  if (metric === 'tokens') return tokens.total;
+  return Object.entries(tokens.byModel)
+    .filter(([model]) => parseModelId(model).family === 'opus')
+    .reduce((sum, [, count]) => sum + count, 0);
+}
+
+// Budgets with their current value and level: ok, warning, critical or unknown (no quota)
+function evaluateBudgets(data, quota) {
+  return Object.entries(loadBudgets())
+    .map(([key, budget]) => {
+      const [metric, period] = key.split(':');
+      if (!BUDGET_METRICS[metric]) return null;
+
+      const value = measureBudget(metric, period, data, quota);
+      const pct = value === null ? null : Math.round((value / budget.limit) * 100);
+      let level = 'ok';
+      if (value === null) level = 'unknown';
+      else if (value >= budget.limit) level = 'critical';
+      else if (pct >= (budget.warning ?? BUDGET_WARNING)) level = 'warning';
+
+      return { metric, period, label: BUDGET_METRICS[metric].label, limit: budget.limit, warning: budget.warning ?? BUDGET_WARNING, value, pct, level };
+    })
+    .filter(Boolean);
+}
+
+function printBudgets(results) {
+  console.log(`${c.bold}Budgets${c.reset}`);
+  const colors = { ok: c.green, warning: c.yellow, critical: c.red, unknown: c.dim };
+  const marks = { ok: '', warning: ` ${c.yellow}⚠${c.reset}`, critical: ` ${c.red}✗ over${c.reset}`, unknown: ` ${c.dim}no quota data${c.reset}` };
+
+  for (const b of results) {
+    const format = b.metric === 'quota' ? v => `${v}%` : formatNumber;
+    const filled = Math.round((Math.min(b.pct ?? 0, 100) / 100) * 20);
+    const bar = `${colors[b.level]}${'█'.repeat(filled)}${c.dim}${'░'.repeat(20 - filled)}${c.reset}`;
+    const value = b.value === null ? '-' : format(b.value);
+    console.log(`  ${pad(`${b.label}/${b.period}`, 17)} ${bar} ${value}/${format(b.limit)}${b.pct === null ? '' : ` ${b.pct}%`}${marks[b.level]}`);
+  }
+}
+
+// For scripts: exit code reflects the worst budget level
+async function checkBudgets() {
+  let data;
+  try {
+    data = loadStatsData();
+  } catch (err) {
+    console.error(`${c.red}Error: Can't read ${STATS_FILE}: ${err.message}${c.reset}`);
+    process.exit(1);
+  }
+  const budgets = loadBudgets();
+  const needsQuota = Object.keys(budgets).some(key => key.startsWith('quota:'));
+  const auth = needsQuota ? loadAuth() : null;
+  const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+
+  const results = evaluateBudgets(data, quota);
+  const worst = results.reduce((level, b) => BUDGET_EXIT_CODES[b.level] > BUDGET_EXIT_CODES[level] ? b.level : level, 'ok');
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ generated: new Date().toISOString(), status: worst, budgets: results }, null, 2));
+  } else if (!results.length) {
+    console.log(`${c.dim}No budgets set. Use: claude-meter --budget <metric> <period> <limit>${c.reset}`);
+  } else {
+    printBudgets(results);
+  }
+
+  process.exitCode = BUDGET_EXIT_CODES[worst];
+}
+
 let showGoals = true; // Toggle for watch mode
 
 // API constants
-const USAGE_API = 'https://api.anthropic.com/api/oauth/usage';
+// The endpoint can be overridden (e.g. to point at a local stub server)
+const USAGE_API = process.env.CLAUDE_METER_USAGE_URL || 'https://api.anthropic.com/api/oauth/usage';
 const ANTHROPIC_BETA = 'oauth-2025-04-20';
+const TOKEN_EXPIRY_SKEW = 60 * 1000; // treat tokens as expired 1 minute early
+
+// Outcome of the last quota fetch: 'ok', 'expired' or 'unavailable'
+let quotaStatus = null;
 
 // Auth functions
 function loadAuth() {
@@ -224,24 +883,139 @@ function loadAuth() {
 }
 
 function saveAuth(auth) {
-  writeFileSync(AUTH_FILE, JSON.stringify(auth, null, 2), { mode: 0o600 });
+  // Write-then-rename so a concurrent reader never sees a half-written file
+  const tmpFile = `${AUTH_FILE}.${process.pid}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(auth, null, 2), { mode: 0o600 });
+  renameSync(tmpFile, AUTH_FILE);
+}
+
+// Where Claude Code keeps its own config (credentials, stats, transcripts)
+function getClaudeConfigDir() {
+  return CLAUDE_DIR;
+}
+
+function expandHome(path) {
+  return path.replace(/^~(?=$|[\\/])/, homedir());
+}
+
+// --profile <name> from the config file, else CLAUDE_CONFIG_DIR, else ~/.claude
+function resolveProfileDir(name) {
+  if (!name) return process.env.CLAUDE_CONFIG_DIR || join(homedir(), '.claude');
+
+  const profile = config.profiles[name];
+  if (!profile) {
+    const names = Object.keys(config.profiles);
+    console.error(`${c.red}Error: Unknown profile '${name}'${c.reset}`);
+    console.log(`${c.dim}${names.length ? `Profiles: ${names.join(', ')}` : `No profiles configured - add them to ${CONFIG_FILE}`}${c.reset}`);
+    process.exit(1);
+  }
+  return expandHome(profile.configDir);
+}
+
+// Up to 0.2.1 claude-meter kept its own files in ~/.claude even when
+// CLAUDE_CONFIG_DIR pointed elsewhere. Copy them over once, so goals, budgets
+// and auth carry on where they were. Caches are simply rebuilt.
+function migrateLegacyStateFiles() {
+  const legacyDir = join(homedir(), '.claude');
+  if (profileArg || !process.env.CLAUDE_CONFIG_DIR || CLAUDE_DIR === legacyDir || !existsSync(CLAUDE_DIR)) return;
+
+  const files = [GOALS_FILE, BUDGETS_FILE, AUTH_FILE, QUOTA_HISTORY_FILE, NOTIFY_STATE_FILE, OUTBOX_FILE, ARCHIVE_FILE];
+  for (const file of files) {
+    const legacyFile = join(legacyDir, basename(file));
+    if (existsSync(file) || !existsSync(legacyFile)) continue;
+    try {
+      copyFileSync(legacyFile, file);
+      console.error(`${c.dim}Copied ${legacyFile} to ${CLAUDE_DIR}${c.reset}`);
+    } catch (err) {
+      console.error(`${c.yellow}Warning: Can't copy ${legacyFile} to ${CLAUDE_DIR}: ${err.message}${c.reset}`);
+    }
+  }
+}
+
+// Arguments that keep a child process on the same config and profile
+function getProfileArgs() {
+  const forwarded = [];
+  if (configIndex !== -1) forwarded.push('--config', args[configIndex + 1]);
+  if (profileArg) forwarded.push('--profile', profileArg);
+  return forwarded;
+}
+
+const KEYCHAIN_SERVICE = getKeychainService();
+
+// Claude Code keeps one keychain entry per config dir: outside the default
+// ~/.claude the service name gets the first 8 hex chars of sha256(configDir)
+function getKeychainService() {
+  const base = 'Claude Code-credentials';
+  const customDir = profileArg ? CLAUDE_DIR !== join(homedir(), '.claude') : Boolean(process.env.CLAUDE_CONFIG_DIR);
+  if (!customDir) return base;
+  return `${base}-${createHash('sha256').update(CLAUDE_DIR).digest('hex').slice(0, 8)}`;
+}
+
+// Credential sources, tried in order. Each reader returns the raw
+// credentials object Claude Code stores ({ claudeAiOauth: {...} }) or null.
+const CREDENTIAL_SOURCES = [
+  {
+    id: 'keychain',
+    name: 'macOS Keychain',
+    platforms: ['darwin'],
+    read: readKeychainCredentials,
+  },
+  {
+    id: 'file',
+    name: 'credentials file',
+    platforms: null, // Linux and Windows store plaintext here; macOS may too
+    read: readCredentialsFile,
+  },
+  {
+    id: 'secret-service',
+    name: 'Secret Service keyring',
+    platforms: ['linux'],
+    read: readSecretServiceCredentials,
+  },
+];
+
+async function readKeychainCredentials() {
+  const { execFileSync } = await import('child_process');
+  const result = execFileSync(
+    'security',
+    ['find-generic-password', '-s', KEYCHAIN_SERVICE, '-w'],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }
+  ).trim();
+  return result ? JSON.parse(result) : null;
+}
+
+function readCredentialsFile() {
+  const file = join(getClaudeConfigDir(), '.credentials.json');
+  if (!existsSync(file)) return null;
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+async function readSecretServiceCredentials() {
+  const { execFileSync } = await import('child_process');
+  // secret-tool exits non-zero when missing or when no matching item exists
+  const result = execFileSync(
+    'secret-tool',
+    ['lookup', 'service', KEYCHAIN_SERVICE],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }
+  ).trim();
+  return result ? JSON.parse(result) : null;
 }
 
 async function getClaudeCliCredentials() {
-  // Try to get credentials from Claude CLI's keychain entry (macOS)
-  const { execSync } = await import('child_process');
+  const { platform } = await import('os');
+  const os = platform();
 
-  try {
-    const result = execSync(
-      'security find-generic-password -s "Claude Code-credentials" -w 2>/dev/null',
-      { encoding: 'utf8' }
-    ).trim();
+  for (const source of CREDENTIAL_SOURCES) {
+    if (source.platforms && !source.platforms.includes(os)) continue;
 
-    if (result) {
-      return JSON.parse(result);
+    try {
+      const credentials = await source.read();
+      if (credentials && credentials.claudeAiOauth) {
+        return { source, credentials };
+      }
+    } catch {
+      // Tool missing, no entry stored, or unreadable - try the next source
     }
-  } catch {
-    // Not on macOS or no credentials stored
   }
 
   return null;
@@ -255,17 +1029,17 @@ async function doAuth() {
 
   const cliCreds = await getClaudeCliCredentials();
 
-  if (cliCreds && cliCreds.claudeAiOauth) {
-    const oauth = cliCreds.claudeAiOauth;
-    console.log(`${c.green}✓${c.reset} Found Claude CLI OAuth token`);
+  if (cliCreds) {
+    const oauth = cliCreds.credentials.claudeAiOauth;
+    console.log(`${c.green}✓${c.reset} Found Claude CLI OAuth token ${c.dim}(${cliCreds.source.name})${c.reset}`);
 
     saveAuth({
       type: 'oauth',
       accessToken: oauth.accessToken,
-      refreshToken: oauth.refreshToken,
       expiresAt: oauth.expiresAt,
       savedAt: new Date().toISOString(),
-      source: 'claude-cli'
+      source: 'claude-cli',
+      credentialSource: cliCreds.source.id
     });
 
     console.log(`${c.green}✓${c.reset} Linked to Claude CLI credentials`);
@@ -274,7 +1048,8 @@ async function doAuth() {
   }
 
   // No CLI credentials, offer alternatives
-  console.log(`${c.yellow}!${c.reset} Claude CLI credentials not found\n`);
+  console.log(`${c.yellow}!${c.reset} Claude CLI credentials not found`);
+  console.log(`${c.dim}Looked in: macOS Keychain, ${join(getClaudeConfigDir(), '.credentials.json')}, Secret Service (secret-tool)${c.reset}\n`);
   console.log(`Options:`);
   console.log(`  1. Run ${c.cyan}claude${c.reset} and use ${c.cyan}/login${c.reset} first, then retry`);
   console.log(`  2. Use an API key instead:\n`);
@@ -311,36 +1086,95 @@ async function doAuth() {
   console.log(`\n${c.green}✓${c.reset} API key saved`);
 }
 
+function isTokenExpired(auth) {
+  return Boolean(auth.expiresAt) && Date.now() >= auth.expiresAt - TOKEN_EXPIRY_SKEW;
+}
+
+// Claude CLI refreshes its own token - pick up the new one if it has. Its refresh
+// token is never spent here: they rotate, so using it would log Claude Code out.
+async function refreshAuth(auth) {
+  const cliCreds = await getClaudeCliCredentials();
+  const oauth = cliCreds?.credentials.claudeAiOauth;
+  if (!oauth || oauth.accessToken === auth.accessToken || isTokenExpired(oauth)) return null;
+
+  const { refreshToken, ...rest } = auth; // dropped from files saved by older versions
+  const updated = {
+    ...rest,
+    accessToken: oauth.accessToken,
+    expiresAt: oauth.expiresAt,
+    savedAt: new Date().toISOString(),
+    credentialSource: cliCreds.source.id
+  };
+  saveAuth(updated);
+  return updated;
+}
+
+function requestQuota(auth) {
+  return fetch(USAGE_API, {
+    headers: {
+      'Authorization': `Bearer ${auth.accessToken}`,
+      'anthropic-beta': ANTHROPIC_BETA,
+      'Accept': 'application/json'
+    },
+    signal: AbortSignal.timeout(10000)
+  });
+}
+
 async function fetchQuota(auth) {
   if (!auth || auth.type !== 'oauth') return null;
 
+  if (isTokenExpired(auth)) {
+    const refreshed = await refreshAuth(auth);
+    if (!refreshed) {
+      quotaStatus = 'expired';
+      return null;
+    }
+    auth = refreshed;
+  }
+
   try {
-    const response = await fetch(USAGE_API, {
-      headers: {
-        'Authorization': `Bearer ${auth.accessToken}`,
-        'anthropic-beta': ANTHROPIC_BETA,
-        'Accept': 'application/json'
+    let response = await requestQuota(auth);
+
+    // Token revoked or rotated before its expiry - refresh once and retry
+    if (response.status === 401) {
+      const refreshed = await refreshAuth(auth);
+      if (!refreshed) {
+        quotaStatus = 'expired';
+        return null;
       }
-    });
+      response = await requestQuota(refreshed);
+    }
 
     if (response.ok) {
+      quotaStatus = 'ok';
       return await response.json();
     }
-  } catch {}
+    quotaStatus = response.status === 401 ? 'expired' : 'unavailable';
+  } catch {
+    quotaStatus = 'unavailable';
+  }
 
   return null;
 }
 
+function formatAuthStatus(auth) {
+  if (!auth) return `${c.dim}○ API not connected (--auth)${c.reset}`;
+  if (quotaStatus === 'expired') return `${c.yellow}●${c.reset} token expired (run claude to renew)`;
+  if (quotaStatus === 'unavailable') return `${c.yellow}●${c.reset} quota unavailable`;
+  return `${c.green}●${c.reset} API connected`;
+}
+
 function formatTimeUntil(isoDate) {
   if (!isoDate) return '';
-  const now = new Date();
-  const reset = new Date(isoDate);
-  const diffMs = reset - now;
+  const diffMs = new Date(isoDate) - new Date();
 
   if (diffMs <= 0) return 'now';
+  return formatDuration(diffMs);
+}
 
-  const hours = Math.floor(diffMs / (1000 * 60 * 60));
-  const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+function formatDuration(ms) {
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
 
   if (hours > 24) {
     const days = Math.floor(hours / 24);
@@ -350,63 +1184,665 @@ function formatTimeUntil(isoDate) {
   return `${minutes}m`;
 }
 
-async function openPopupWindow() {
-  const { execSync } = await import('child_process');
-  const { fileURLToPath } = await import('url');
-  const { writeFileSync, unlinkSync, chmodSync } = await import('fs');
-  const { tmpdir, platform } = await import('os');
-  const scriptPath = fileURLToPath(import.meta.url);
+// Quota history - every fetched quota snapshot is appended as one JSON line
+const QUOTA_WINDOWS = {
+  five_hour: { label: '5-hour', length: 5 * 60 * 60 * 1000, lookback: 60 * 60 * 1000 },
+  seven_day: { label: '7-day', length: 7 * 24 * 60 * 60 * 1000, lookback: 24 * 60 * 60 * 1000 },
+};
+const QUOTA_HISTORY_RETENTION = 8 * 24 * 60 * 60 * 1000; // a bit over one 7-day window
+const QUOTA_HISTORY_MIN_INTERVAL = 60 * 1000;
 
-  // Build the command without --popup to avoid infinite loop
-  const newArgs = args.filter(a => a !== '--popup');
-  if (!newArgs.includes('-w') && !newArgs.includes('--watch')) {
-    newArgs.push('-w'); // Default to watch mode in popup
-  }
+function loadQuotaHistory() {
+  try {
+    if (existsSync(QUOTA_HISTORY_FILE)) {
+      return readFileSync(QUOTA_HISTORY_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(Boolean);
+    }
+  } catch {}
+  return [];
+}
 
-  const os = platform();
+function recordQuota(quota) {
+  if (!quota) return;
 
-  // ============ WINDOWS ============
-  if (os === 'win32') {
-    const cmd = `node "${scriptPath}" ${newArgs.join(' ')}`;
+  try {
+    const history = loadQuotaHistory();
+    const now = Date.now();
+    const last = history[history.length - 1];
 
-    // Try Windows Terminal first (modern, best experience)
-    try {
-      execSync(`wt -w 0 nt --title "Claude Meter" cmd /k "cls && ${cmd}"`, { stdio: 'ignore' });
-      console.log(`${c.green}✓${c.reset} Opened in Windows Terminal`);
-      return;
-    } catch {}
+    // Watch mode can refresh every few seconds; one sample a minute is plenty
+    if (last && now - new Date(last.ts) < QUOTA_HISTORY_MIN_INTERVAL) return;
 
-    // Try PowerShell (common on modern Windows)
-    try {
-      execSync(`start powershell -NoExit -Command "Clear-Host; ${cmd}"`, { stdio: 'ignore', shell: true });
-      console.log(`${c.green}✓${c.reset} Opened in PowerShell`);
-      return;
-    } catch {}
+    const entry = { ts: new Date(now).toISOString() };
+    for (const key of Object.keys(QUOTA_WINDOWS)) {
+      if (quota[key]) {
+        entry[key] = { utilization: quota[key].utilization || 0, resets_at: quota[key].resets_at };
+      }
+    }
 
-    // Fallback to cmd.exe (always available)
-    try {
-      execSync(`start "Claude Meter" cmd /k "cls && ${cmd}"`, { stdio: 'ignore', shell: true });
-      console.log(`${c.green}✓${c.reset} Opened in Command Prompt`);
-      return;
-    } catch {}
+    // Drop samples older than the retention period once they show up
+    if (history.length && now - new Date(history[0].ts) > QUOTA_HISTORY_RETENTION) {
+      const kept = history.filter(e => now - new Date(e.ts) <= QUOTA_HISTORY_RETENTION);
+      kept.push(entry);
+      writeFileSync(QUOTA_HISTORY_FILE, kept.map(e => JSON.stringify(e)).join('\n') + '\n');
+    } else {
+      appendFileSync(QUOTA_HISTORY_FILE, JSON.stringify(entry) + '\n');
+    }
+  } catch {}
+}
 
-    console.error(`${c.red}Error:${c.reset} Could not open terminal window`);
-    process.exit(1);
-  }
+// Samples belonging to the same window as resetsAt (resets_at may jitter slightly)
+function getWindowSamples(history, key, resetsAt) {
+  const reset = new Date(resetsAt).getTime();
+  return history
+    .filter(e => e[key] && e[key].resets_at && Math.abs(new Date(e[key].resets_at) - reset) < 5 * 60 * 1000)
+    .map(e => ({ time: new Date(e.ts).getTime(), pct: e[key].utilization }));
+}
 
-  // ============ MACOS ============
-  if (os === 'darwin') {
-    // Create a temporary launcher script to avoid escaping issues
-    const tmpScript = join(tmpdir(), `claude-meter-${Date.now()}.sh`);
-    const scriptContent = `#!/bin/bash
-clear
-exec node "${scriptPath}" ${newArgs.join(' ')}
-`;
-    writeFileSync(tmpScript, scriptContent);
-    chmodSync(tmpScript, '755');
+function forecastQuota(history, key, window) {
+  if (!window || !window.resets_at) return null;
 
-    // Window size
-    const width = 560;
+  const now = Date.now();
+  const { lookback } = QUOTA_WINDOWS[key];
+  const samples = getWindowSamples(history, key, window.resets_at)
+    .filter(s => now - s.time <= lookback);
+  if (samples.length < 2) return null;
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsed = last.time - first.time;
+  if (elapsed < 5 * 60 * 1000) return null; // not enough signal yet
+
+  const ratePerMs = (last.pct - first.pct) / elapsed;
+  const current = window.utilization || 0;
+  const untilReset = new Date(window.resets_at) - now;
+
+  if (ratePerMs <= 0) {
+    return { ratePerHour: 0, hitsLimitIn: null, untilReset, projectedAtReset: current };
+  }
+
+  return {
+    ratePerHour: ratePerMs * 60 * 60 * 1000,
+    hitsLimitIn: Math.max(0, (100 - current) / ratePerMs),
+    untilReset,
+    projectedAtReset: Math.min(100, current + ratePerMs * untilReset),
+  };
+}
+
+function formatForecast(forecast) {
+  if (!forecast) return null;
+  const reset = formatDuration(Math.max(0, forecast.untilReset));
+
+  if (forecast.hitsLimitIn === null) {
+    return `${c.dim}idle · resets in ${reset}${c.reset}`;
+  }
+  if (forecast.hitsLimitIn < forecast.untilReset) {
+    return `${c.yellow}at this pace you hit 100% in ${formatDuration(forecast.hitsLimitIn)}, before the reset in ${reset}${c.reset}`;
+  }
+  return `${c.dim}at this pace you reach ${Math.round(forecast.projectedAtReset)}% by the reset in ${reset}${c.reset}`;
+}
+
+function makeSparkline(values) {
+  const ticks = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+  return values.map(v => {
+    if (v === null) return `${c.dim}·${c.reset}`;
+    const index = Math.min(Math.floor((v / 100) * ticks.length), ticks.length - 1);
+    return `${getQuotaColor(v)}${ticks[index]}${c.reset}`;
+  }).join('');
+}
+
+async function printQuotaHistory() {
+  const auth = loadAuth();
+  const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+  recordQuota(quota);
+
+  const history = loadQuotaHistory();
+  const latest = quota || history[history.length - 1];
+
+  console.log(`${c.bold}Quota History${c.reset} ${c.dim}(${quota ? 'live' : 'from history'})${c.reset}`);
+  if (!latest) {
+    console.log(`${c.dim}No quota samples yet. Run with --auth linked; samples are recorded on every refresh.${c.reset}`);
+    return;
+  }
+
+  const width = 40;
+  const now = Date.now();
+
+  for (const [key, { label, length }] of Object.entries(QUOTA_WINDOWS)) {
+    const window = latest[key];
+    if (!window || !window.resets_at) continue;
+
+    const end = new Date(window.resets_at).getTime();
+    const start = end - length;
+    const samples = getWindowSamples(history, key, window.resets_at);
+    const bucketSize = length / width;
+
+    // Bucket samples over the whole window; carry the last value forward, leave the future empty
+    const values = [];
+    let carry = null;
+    for (let i = 0; i < width; i++) {
+      const bucketStart = start + i * bucketSize;
+      if (bucketStart > now) {
+        values.push(null);
+        continue;
+      }
+      const inBucket = samples.filter(s => s.time >= bucketStart && s.time < bucketStart + bucketSize);
+      if (inBucket.length) carry = Math.max(...inBucket.map(s => s.pct));
+      values.push(carry === null ? null : carry);
+    }
+
+    const pct = window.utilization || 0;
+    console.log();
+    console.log(`  ${c.bold}${label}${c.reset}  ${makeSparkline(values)} ${pct}% ${c.dim}(${samples.length} samples)${c.reset}`);
+    const startLabel = new Date(start).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    const endLabel = new Date(end).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    console.log(`  ${' '.repeat(label.length)}  ${c.dim}${startLabel.padEnd(width - endLabel.length)}${endLabel}${c.reset}`);
+
+    const forecast = formatForecast(forecastQuota(history, key, window));
+    if (forecast) {
+      console.log(`  ${' '.repeat(label.length)}  ${forecast}`);
+    }
+  }
+}
+
+// Status line - Claude Code pipes session JSON to stdin and shows our first line
+const STATUSLINE_BUDGET = 300; // ms, hard limit for the whole run
+const STATUSLINE_STDIN_TIMEOUT = 100;
+const QUOTA_CACHE_TTL = 60 * 1000;
+const QUOTA_REFRESH_LOCK = 30 * 1000;
+
+function loadQuotaCache() {
+  try {
+    if (existsSync(QUOTA_CACHE_FILE)) {
+      return JSON.parse(readFileSync(QUOTA_CACHE_FILE, 'utf8'));
+    }
+  } catch {}
+  return null;
+}
+
+function saveQuotaCache(cache) {
+  try {
+    const tmpFile = `${QUOTA_CACHE_FILE}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(cache, null, 2));
+    renameSync(tmpFile, QUOTA_CACHE_FILE);
+  } catch {}
+}
+
+// Runs detached in the background, so the status line itself never waits on the network
+async function refreshQuotaCache() {
+  if (!noLive && existsSync(STATS_FILE)) {
+    try { loadStatsData(); } catch {}
+  }
+
+  const auth = loadAuth();
+  const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+  const cache = loadQuotaCache() || {};
+  recordQuota(quota);
+  saveQuotaCache({
+    fetchedAt: Date.now(),
+    status: quotaStatus,
+    quota: quota || cache.quota || null,
+  });
+}
+
+async function spawnQuotaRefresh(cache) {
+  if (cache?.refreshingAt && Date.now() - cache.refreshingAt < QUOTA_REFRESH_LOCK) return;
+  saveQuotaCache({ ...cache, refreshingAt: Date.now() });
+
+  const { spawn } = await import('child_process');
+  const { fileURLToPath } = await import('url');
+  const child = spawn(process.execPath, [fileURLToPath(import.meta.url), '--refresh-quota-cache', ...getProfileArgs()], {
+    detached: true,
+    stdio: 'ignore',
+  });
+  child.unref();
+}
+
+// Notifications - each check compares with the previous one and fires once
+// per crossing. A quota threshold re-arms only after utilization drops
+// `hysteresis` points below it, so hovering at 80% doesn't spam. State lives
+// only in the file and is re-read on every check, so a watch session and cron
+// runs of --notify-once share it instead of firing the same event twice.
+function loadNotifyState() {
+  try {
+    if (existsSync(NOTIFY_STATE_FILE)) {
+      return JSON.parse(readFileSync(NOTIFY_STATE_FILE, 'utf8'));
+    }
+  } catch {}
+  return null;
+}
+
+function saveNotifyState(state) {
+  try {
+    const tmpFile = `${NOTIFY_STATE_FILE}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(state));
+    renameSync(tmpFile, NOTIFY_STATE_FILE);
+  } catch {}
+}
+
+// Events since the last check; `enabled` is every event type someone listens to
+function collectEvents(data, quota, enabled) {
+  const settings = config.notifications;
+  const events = [];
+  const saved = loadNotifyState();
+  const first = !saved; // the very first check only sets the baseline
+  const state = saved || { armed: {}, quota: {}, goals: {}, streak: 0, streakWarned: null, summaryDate: null };
+
+  for (const [key, window] of Object.entries(QUOTA_WINDOWS)) {
+    const current = quota?.[key];
+    if (!current) continue;
+    const pct = current.utilization || 0;
+    const previous = state.quota[key];
+
+    // Jumping past several thresholds at once is one notification, for the highest
+    let crossed = null;
+    for (const threshold of settings.quotaThresholds) {
+      const id = `${key}:${threshold}`;
+      if (pct >= threshold) {
+        if (state.armed[id] !== false && !first) crossed = Math.max(crossed ?? 0, threshold);
+        state.armed[id] = false;
+      } else if (pct < threshold - settings.hysteresis) {
+        state.armed[id] = true;
+      }
+    }
+    if (crossed !== null && enabled.has('quota')) {
+      events.push({
+        type: 'quota',
+        title: `${window.label} quota at ${pct}%`,
+        message: `Crossed ${crossed}%${current.resets_at ? `, resets in ${formatTimeUntil(current.resets_at)}` : ''}`,
+        window: key,
+        threshold: crossed,
+        utilization: pct,
+        resetsAt: current.resets_at || null,
+      });
+    }
+
+    // A new window: reset time moved on and utilization dropped
+    if (previous && enabled.has('quota-reset') && current.resets_at !== previous.resets_at && pct < previous.utilization) {
+      events.push({
+        type: 'quota-reset',
+        title: `${window.label} quota reset`,
+        message: `Now at ${pct}% (was ${previous.utilization}%)`,
+        window: key,
+        utilization: pct,
+        resetsAt: current.resets_at || null,
+      });
+    }
+    state.quota[key] = { utilization: pct, resets_at: current.resets_at };
+  }
+
+  const goals = loadGoals();
+  if (goals) {
+    const activity = data.dailyActivity || [];
+    const todayEntry = activity.find(d => d.date === formatDate(new Date()));
+    const progress = { daily: todayEntry?.messageCount || 0, weekly: aggregateStats(getLast7Days(activity)).messages };
+
+    for (const key of ['daily', 'weekly']) {
+      const reached = goals[key] > 0 && progress[key] >= goals[key];
+      if (reached && state.goals[key] === false && enabled.has('goal')) {
+        events.push({
+          type: 'goal',
+          title: `${key === 'daily' ? 'Daily' : 'Weekly'} goal reached`,
+          message: `${formatNumber(progress[key])} of ${formatNumber(goals[key])} messages`,
+          goal: key,
+          target: goals[key],
+          value: progress[key],
+        });
+      }
+      state.goals[key] = reached;
+    }
+  }
+
+  // Streak at risk: late in the day with nothing yet today (once per day)
+  const now = new Date();
+  const today = formatDate(now);
+  const activity = data.dailyActivity || [];
+  const tokenData = data.dailyModelTokens || [];
+  const streak = calculateStreak(activity);
+  const activeToday = (activity.find(d => d.date === today)?.messageCount || 0) > 0;
+  if (enabled.has('streak') && streak > 0 && !activeToday && now.getHours() >= settings.streakHour && state.streakWarned !== today) {
+    state.streakWarned = today;
+    events.push({
+      type: 'streak',
+      title: `${streak} day streak at risk`,
+      message: 'No activity yet today',
+      streak,
+    });
+  }
+
+  // Streak broken: neither yesterday nor today has activity
+  if (enabled.has('streak-broken') && streak === 0 && state.streak > 1 && !first) {
+    events.push({
+      type: 'streak-broken',
+      title: `${state.streak} day streak ended`,
+      message: 'No activity yesterday',
+      streak: state.streak,
+    });
+  }
+  state.streak = streak;
+
+  // Daily summary: yesterday's totals, on the first check of each day
+  if (enabled.has('daily-summary') && state.summaryDate !== today) {
+    const [y, m, d] = today.split('-').map(Number);
+    const date = utcDateStr(y, m - 1, d - 1);
+    const days = activity.filter(day => day.date === date);
+    const stats = aggregateStats(days);
+    const tokens = aggregateTokens(tokenData, days);
+    const cost = roundCost(createCostEstimator(tokenData, loadPrices())(days));
+    events.push({
+      type: 'daily-summary',
+      title: `Claude Code usage on ${date}`,
+      message: `${formatNumber(stats.messages)} messages · ${stats.sessions} sessions · ${formatTokens(tokens.total)} tokens · ${formatCostEstimate(cost)}${streak > 1 ? ` · 🔥 ${streak} day streak` : ''}`,
+      date,
+      messages: stats.messages,
+      sessions: stats.sessions,
+      toolCalls: stats.toolCalls,
+      tokens: tokens.total,
+      estimatedCost: cost.total,
+      estimatedCostUpperBound: cost.upperBound,
+      streak,
+    });
+  }
+  state.summaryDate = today;
+
+  saveNotifyState(state);
+  return events.map(event => ({ ...event, at: now.toISOString() }));
+}
+
+// Watch mode: terminal channels and webhooks
+function checkNotifications(data, quota) {
+  const local = new Set(notifyArg || config.notifications.enabled ? config.notifications.events : []);
+  const events = collectEvents(data, quota, new Set([...local, ...getWebhookEvents()]));
+  for (const event of events) {
+    // Fire and forget - a failed notification mustn't take the dashboard down
+    if (local.has(event.type)) deliverNotification(event).catch(() => {});
+  }
+  sendWebhooks(events).catch(() => {});
+}
+
+// One check for cron - webhooks and the command channel only, no terminal
+async function notifyOnce() {
+  const data = loadStatsData();
+  const auth = loadAuth();
+  const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+  recordQuota(quota);
+
+  // "enabled": false turns off every channel; webhooks have their own config
+  const local = new Set(config.notifications.enabled ? config.notifications.events : []);
+  const events = collectEvents(data, quota, new Set([...local, ...getWebhookEvents()]));
+  for (const event of events) {
+    console.log(`${c.cyan}•${c.reset} ${event.title}${c.dim}: ${event.message}${c.reset}`);
+    if (local.has(event.type)) deliverNotification(event, { terminal: false }).catch(() => {});
+  }
+
+  const result = await sendWebhooks(events);
+  if (!events.length && !result.sent) console.log(`${c.dim}No new events${c.reset}`);
+  if (result.sent) console.log(`${c.green}✓${c.reset} ${result.sent} webhook${result.sent === 1 ? '' : 's'} delivered`);
+  if (result.rejected) console.log(`${c.red}✗ ${result.rejected} webhook${result.rejected === 1 ? '' : 's'} rejected by the endpoint${c.reset}`);
+  if (result.queued) console.log(`${c.yellow}Warning: ${result.queued} webhook${result.queued === 1 ? '' : 's'} queued in ${OUTBOX_FILE}, retried on the next run${c.reset}`);
+}
+
+async function deliverNotification(event, { terminal = true } = {}) {
+  const settings = config.notifications;
+  const channels = new Set(settings.channels.filter(channel => terminal || channel === 'command'));
+  const text = `${event.title}: ${event.message}`.replace(/[\x00-\x1f\x7f]/g, ' ');
+
+  if (channels.has('bell')) process.stdout.write('\x07');
+  if (channels.has('osc9')) process.stdout.write(`\x1b]9;${text}\x07`);
+  if (channels.has('osc777')) process.stdout.write(`\x1b]777;notify;Claude Meter;${text}\x07`);
+
+  if (!channels.has('notify-send') && !(channels.has('command') && settings.command)) return;
+  const { spawn } = await import('child_process');
+
+  // Missing notify-send (macOS, Windows, minimal Linux) is not an error
+  if (channels.has('notify-send')) {
+    const child = spawn('notify-send', ['--app-name=Claude Meter', event.title, event.message], { stdio: 'ignore' });
+    child.on('error', () => {});
+  }
+
+  if (channels.has('command') && settings.command) {
+    const child = spawn(settings.command, { shell: true, stdio: ['pipe', 'ignore', 'ignore'] });
+    child.on('error', () => {});
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event) + '\n');
+  }
+}
+
+// Webhooks - Slack-compatible ({ text }) or generic JSON, optionally signed
+// with HMAC-SHA256 of the body. Failed deliveries are retried with backoff,
+// then kept in an outbox and sent first on the next check.
+const WEBHOOK_RETRY_DELAYS = [1000, 5000, 15000];
+const OUTBOX_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+let webhookQueue = Promise.resolve(); // one delivery round at a time
+
+function getWebhookEvents() {
+  return config.webhooks.flatMap(webhook => webhook.events);
+}
+
+function buildWebhookRequest(webhook, event) {
+  const payload = webhook.format === 'slack'
+    ? { text: `*${event.title}*\n${event.message}` }
+    : { source: 'claude-meter', version: VERSION, ...event };
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': `claude-meter/${VERSION}` };
+
+  const secret = webhook.secret || process.env.CLAUDE_METER_WEBHOOK_SECRET;
+  if (secret) headers['X-Claude-Meter-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+  return { url: webhook.url, headers, body, event: event.type, queuedAt: null };
+}
+
+// 'sent', 'rejected' (a 4xx - retrying won't help) or 'failed'
+async function postWebhook(request) {
+  try {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: request.body,
+      signal: AbortSignal.timeout(10000),
+    });
+    if (response.ok) return 'sent';
+    return response.status >= 400 && response.status < 500 && response.status !== 429 ? 'rejected' : 'failed';
+  } catch {
+    return 'failed';
+  }
+}
+
+function loadOutbox() {
+  try {
+    if (!existsSync(OUTBOX_FILE)) return [];
+    return readFileSync(OUTBOX_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(entry => entry && Date.now() - entry.queuedAt < OUTBOX_MAX_AGE);
+  } catch {
+    return [];
+  }
+}
+
+function saveOutbox(entries) {
+  try {
+    if (!entries.length) {
+      if (existsSync(OUTBOX_FILE)) unlinkSync(OUTBOX_FILE);
+      return;
+    }
+    // Signed requests - keep them private like the auth file
+    const tmpFile = `${OUTBOX_FILE}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', { mode: 0o600 });
+    renameSync(tmpFile, OUTBOX_FILE);
+  } catch {}
+}
+
+function sendWebhooks(events) {
+  const round = webhookQueue.then(() => deliverWebhooks(events));
+  webhookQueue = round.catch(() => {});
+  return round;
+}
+
+async function deliverWebhooks(events) {
+  const result = { sent: 0, rejected: 0, queued: 0 };
+  const requests = events.flatMap(event => config.webhooks
+    .filter(webhook => webhook.events.includes(event.type))
+    .map(webhook => buildWebhookRequest(webhook, event)));
+
+  const outbox = loadOutbox();
+  if (!outbox.length && !requests.length) return result;
+
+  // Outbox first, one attempt each - once one fails we're probably still offline
+  const pending = [];
+  let offline = false;
+  for (const entry of outbox) {
+    const status = offline ? 'failed' : await postWebhook(entry);
+    if (status === 'failed') {
+      offline = true;
+      pending.push(entry);
+    } else {
+      result[status]++;
+    }
+  }
+
+  for (const request of requests) {
+    let status = offline ? 'failed' : await postWebhook(request);
+    for (let i = 0; status === 'failed' && !offline && i < WEBHOOK_RETRY_DELAYS.length; i++) {
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAYS[i]));
+      status = await postWebhook(request);
+    }
+    if (status === 'failed') {
+      offline = true;
+      pending.push({ ...request, queuedAt: Date.now() });
+    } else {
+      result[status]++;
+    }
+  }
+
+  result.queued = pending.length;
+  saveOutbox(pending);
+  return result;
+}
+
+function readStdinJSON(timeout) {
+  if (process.stdin.isTTY) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    let input = '';
+    const finish = () => {
+      clearTimeout(timer);
+      process.stdin.removeAllListeners('data');
+      process.stdin.pause();
+      try { resolve(input.trim() ? JSON.parse(input) : null); } catch { resolve(null); }
+    };
+    const timer = setTimeout(finish, timeout);
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => input += chunk);
+    process.stdin.on('end', finish);
+    process.stdin.on('error', finish);
+  });
+}
+
+async function printStatusline() {
+  // Whatever happens, answer within the budget
+  const deadline = setTimeout(() => {
+    console.log(`${c.dim}claude-meter${c.reset}`);
+    process.exit(0);
+  }, STATUSLINE_BUDGET);
+
+  const session = await readStdinJSON(STATUSLINE_STDIN_TIMEOUT);
+  const parts = [];
+
+  const modelName = session?.model?.display_name || (session?.model?.id && formatModelName(session.model.id));
+  if (modelName) parts.push(`${c.bold}${c.brightCyan}${modelName}${c.reset}`);
+
+  const cwd = session?.workspace?.current_dir || session?.cwd;
+  if (cwd) parts.push(`${c.dim}${cwd.split(/[\\/]/).filter(Boolean).pop() || cwd}${c.reset}`);
+
+  try {
+    // Live days come from the cache only; scanning is left to the background refresh
+    const data = mergeLiveDays(JSON.parse(readFileSync(STATS_FILE, 'utf8')), noLive ? null : loadLiveCache());
+    const todayEntry = (data.dailyActivity || []).find(d => d.date === formatDate(new Date()));
+    const today = todayEntry ? formatNumber(todayEntry.messageCount) : '–';
+    parts.push(`today ${c.yellow}${today}${c.reset} msgs`);
+  } catch {}
+
+  // Quota comes from the cache; a stale cache triggers a background refresh
+  const cache = loadQuotaCache();
+  if (!cache || Date.now() - (cache.fetchedAt || 0) > QUOTA_CACHE_TTL) {
+    await spawnQuotaRefresh(cache).catch(() => {});
+  }
+  const window = cache?.quota?.five_hour;
+  if (window) {
+    const pct = Math.round(window.utilization || 0);
+    const reset = window.resets_at ? formatTimeUntil(window.resets_at).replace(' ', '') : '';
+    parts.push(`5h ${getQuotaColor(pct)}${pct}%${c.reset}${reset ? ` ${c.dim}(${reset})${c.reset}` : ''}`);
+  } else if (cache?.status === 'expired') {
+    parts.push(`${c.yellow}quota: token expired${c.reset}`);
+  }
+
+  clearTimeout(deadline);
+  console.log(parts.join(` ${c.dim}│${c.reset} `));
+}
+
+async function openPopupWindow() {
+  const { execSync } = await import('child_process');
+  const { fileURLToPath } = await import('url');
+  const { writeFileSync, unlinkSync, chmodSync } = await import('fs');
+  const { tmpdir, platform } = await import('os');
+  const scriptPath = fileURLToPath(import.meta.url);
+
+  // Build the command without --popup to avoid infinite loop
+  const newArgs = args.filter(a => a !== '--popup');
+  if (!newArgs.includes('-w') && !newArgs.includes('--watch')) {
+    newArgs.push('-w'); // Default to watch mode in popup
+  }
+
+  const os = platform();
+
+  // ============ WINDOWS ============
+  if (os === 'win32') {
+    const cmd = `node "${scriptPath}" ${newArgs.join(' ')}`;
+
+    // Try Windows Terminal first (modern, best experience)
+    try {
+      execSync(`wt -w 0 nt --title "Claude Meter" cmd /k "cls && ${cmd}"`, { stdio: 'ignore' });
+      console.log(`${c.green}✓${c.reset} Opened in Windows Terminal`);
+      return;
+    } catch {}
+
+    // Try PowerShell (common on modern Windows)
+    try {
+      execSync(`start powershell -NoExit -Command "Clear-Host; ${cmd}"`, { stdio: 'ignore', shell: true });
+      console.log(`${c.green}✓${c.reset} Opened in PowerShell`);
+      return;
+    } catch {}
+
+    // Fallback to cmd.exe (always available)
+    try {
+      execSync(`start "Claude Meter" cmd /k "cls && ${cmd}"`, { stdio: 'ignore', shell: true });
+      console.log(`${c.green}✓${c.reset} Opened in Command Prompt`);
+      return;
+    } catch {}
+
+    console.error(`${c.red}Error:${c.reset} Could not open terminal window`);
+    process.exit(1);
+  }
+
+  // ============ MACOS ============
+  if (os === 'darwin') {
+    // Create a temporary launcher script to avoid escaping issues
+    const tmpScript = join(tmpdir(), `claude-meter-${Date.now()}.sh`);
+    const scriptContent = `#!/bin/bash
+clear
+exec node "${scriptPath}" ${newArgs.join(' ')}
+`;
+    writeFileSync(tmpScript, scriptContent);
+    chmodSync(tmpScript, '755');
+
+    // Window size
+    const width = 560;
     const height = 620;
 
     // Try Terminal.app with AppleScript to set size
@@ -594,6 +2030,9 @@ async function main() {
     return;
   }
 
+  // A bad --from/--to fails before anything is printed
+  getDateRange();
+
   if (goalsClear) {
     clearGoals();
     return;
@@ -604,6 +2043,16 @@ async function main() {
     return;
   }
 
+  if (budgetClearIndex !== -1) {
+    clearBudgets();
+    return;
+  }
+
+  if (budgetIndex !== -1) {
+    setBudget();
+    return;
+  }
+
   if (authArg) {
     await doAuth();
     return;
@@ -619,21 +2068,69 @@ async function main() {
     return;
   }
 
+  if (quotaHistoryArg) {
+    await printQuotaHistory();
+    return;
+  }
+
+  // Status line runs on every prompt - no update check, never slow
+  if (statuslineArg) {
+    await printStatusline();
+    return;
+  }
+
+  if (refreshQuotaCacheArg) {
+    await refreshQuotaCache();
+    return;
+  }
+
+  // A report is written once - there's nothing to refresh
+  if (reportView && watchMode) {
+    console.error(`${c.red}Error: report can't be combined with --watch${c.reset}`);
+    console.log(`${c.dim}Schedule it instead, e.g. a weekly cron job running: claude-meter report -o week.html${c.reset}`);
+    process.exit(1);
+  }
+
   // Check for updates (non-blocking, cached)
-  if (!noUpdateCheck) {
+  if (!noUpdateCheck && !checkBudgetArg && !notifyOnceArg && !profileSummaryArg && !(reportView && !reportOutput)) {
     const updateAvailable = await checkForUpdates();
     if (updateAvailable) {
       showUpdateNotification(updateAvailable);
     }
   }
 
-  // Check stats file exists
-  if (!existsSync(STATS_FILE)) {
-    console.error(`${c.red}Error: Stats file not found.${c.reset}`);
+  if (importIndex !== -1) {
+    importArchive();
+    return;
+  }
+
+  // Check stats file exists (after a reinstall the archive is enough)
+  if (!profilesView && !teamView && !existsSync(STATS_FILE) && !(archiveEnabled && existsSync(ARCHIVE_FILE))) {
+    console.error(`${c.red}Error: Stats file not found${profileArg ? ` for profile '${profileArg}' (${STATS_FILE})` : ''}.${c.reset}`);
     console.error(`Make sure Claude Code CLI is installed and has been used.`);
     process.exit(1);
   }
 
+  if (profileSummaryArg) {
+    await printProfileSummary();
+    return;
+  }
+
+  if (checkBudgetArg) {
+    await checkBudgets();
+    return;
+  }
+
+  if (notifyOnceArg) {
+    await notifyOnce();
+    return;
+  }
+
+  if (servePort) {
+    await startMetricsServer();
+    return;
+  }
+
   if (watchMode) {
     process.stdout.write(c.hideCursor);
     process.on('SIGINT', cleanup);
@@ -706,128 +2203,2562 @@ function updateProgressBar() {
   const spinner = spinnerFrames[spinnerIndex];
   const status = `${c.cyan}${spinner}${c.reset} ${c.dim}Next refresh in ${seconds}s${c.reset} ${c.cyan}${spinner}${c.reset} ${c.dim}q=quit r=refresh g=goals${c.reset}`;
 
-  process.stdout.write('\r' + c.clearLine + status);
-}
+  process.stdout.write('\r' + c.clearLine + status);
+}
+
+function cleanup() {
+  process.stdout.write(c.showCursor);
+  process.stdout.write('\n');
+  console.log(`${c.dim}Goodbye!${c.reset}`);
+  process.exit(0);
+}
+
+async function render() {
+  try {
+    if (profilesView) {
+      await printProfiles();
+      return;
+    }
+
+    if (teamView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printTeam();
+      printWatchFooter();
+      return;
+    }
+
+    const data = loadStatsData();
+    const auth = loadAuth();
+    const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+    recordQuota(quota);
+    if (watchMode && (notifyArg || config.notifications.enabled || config.webhooks.length)) checkNotifications(data, quota);
+
+    if (reportView) {
+      writeReport(data);
+    } else if (projectsView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printProjects();
+      printWatchFooter();
+    } else if (toolsView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printTools();
+      printWatchFooter();
+    } else if (calendarView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printCalendar(data.dailyActivity || []);
+      printWatchFooter();
+    } else if (punchcardView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printPunchcard(data);
+      printWatchFooter();
+    } else if (sessionIdArg) {
+      printSessionDetail(sessionIdArg);
+    } else if (sessionsView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printSessions();
+      printWatchFooter();
+    } else if (jsonOutput) {
+      printJSON(data);
+    } else if (templateMode) {
+      printTemplate(data, quota);
+    } else if (compactOutput) {
+      printCompact(data);
+    } else if (exportFile || formatArg) {
+      exportStats(data);
+    } else if (textfilePath) {
+      writeMetricsTextfile(data, quota);
+    } else if (modelsView) {
+      if (watchMode) process.stdout.write(c.clear);
+      printModels(data);
+      printWatchFooter();
+    } else {
+      if (watchMode) process.stdout.write(c.clear);
+      printStats(data, quota);
+    }
+  } catch (err) {
+    console.error(`${c.red}Error: ${err.message}${c.reset}`);
+    if (!watchMode) process.exit(1);
+  }
+}
+
+// Profiles side by side. Each profile is summarized by a child process, so
+// its files, credentials and quota never mix with another profile's.
+const PROFILE_FORWARDED_FLAGS = ['--today', '--week', '--month', '--no-live'];
+
+async function printProfileSummary() {
+  const data = loadStatsData();
+  const auth = loadAuth();
+  const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+  recordQuota(quota);
+
+  const activity = data.dailyActivity || [];
+  const estimateDaysCost = createCostEstimator(data.dailyModelTokens || [], loadPrices());
+  const periods = getStandardPeriods(new Date()).map(period => {
+    const days = period.from ? activity.filter(d => d.date >= period.from && d.date <= period.to) : activity;
+    const stats = aggregateStats(days);
+    const tokens = aggregateTokens(data.dailyModelTokens || [], days);
+    const cost = estimateDaysCost(days);
+    return {
+      key: period.key,
+      label: period.label,
+      messages: stats.messages,
+      sessions: stats.sessions,
+      toolCalls: stats.toolCalls,
+      tokens: tokens.total,
+      estimatedCost: roundCost(cost).total,
+      estimatedCostUpperBound: cost.upperBound,
+    };
+  });
+
+  console.log(JSON.stringify({
+    configDir: CLAUDE_DIR,
+    lastComputedDate: data.lastComputedDate || null,
+    streak: calculateStreak(activity),
+    quotaStatus,
+    quota: quota && Object.fromEntries(Object.keys(QUOTA_WINDOWS).map(key => [key, quota[key]?.utilization ?? null])),
+    periods,
+  }));
+}
+
+async function loadProfileSummaries() {
+  const { execFile } = await import('child_process');
+  const { fileURLToPath } = await import('url');
+  const forwarded = args.filter(a => PROFILE_FORWARDED_FLAGS.includes(a));
+  if (fromArg) forwarded.push('--from', fromArg);
+  if (toArg) forwarded.push('--to', toArg);
+  if (configIndex !== -1) forwarded.push('--config', args[configIndex + 1]);
+
+  // The config dir in use is a column too, unless a named profile already covers it
+  const columns = Object.keys(config.profiles).map(name => ({ name, profileArgs: ['--profile', name] }));
+  const covered = Object.values(config.profiles).some(profile => resolvePath(expandHome(profile.configDir)) === resolvePath(CLAUDE_DIR));
+  if (!covered) {
+    columns.unshift({ name: config.profiles.default ? 'current' : 'default', profileArgs: [] });
+  }
+
+  return Promise.all(columns.map(({ name, profileArgs }) => new Promise((resolve) => {
+    const childArgs = [fileURLToPath(import.meta.url), '--profile-summary', ...profileArgs, ...forwarded];
+    execFile(process.execPath, childArgs, { timeout: 30000, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      try {
+        resolve({ name, ...JSON.parse(stdout) });
+      } catch {
+        const message = (stderr || err?.message || 'no output').replace(/\x1b\[[0-9;]*m/g, '').trim().split('\n')[0];
+        resolve({ name, error: message });
+      }
+    });
+  })));
+}
+
+function sumProfilePeriods(profiles) {
+  const ok = profiles.filter(p => !p.error);
+  if (!ok.length) return [];
+  return ok[0].periods.map((period, i) => {
+    const total = { key: period.key, label: period.label };
+    for (const field of ['messages', 'sessions', 'toolCalls', 'tokens', 'estimatedCost']) {
+      total[field] = ok.reduce((sum, p) => sum + p.periods[i][field], 0);
+    }
+    total.estimatedCost = Math.round(total.estimatedCost * 100) / 100;
+    total.estimatedCostUpperBound = ok.some(p => p.periods[i].estimatedCostUpperBound);
+    return total;
+  });
+}
+
+async function printProfiles() {
+  const names = Object.keys(config.profiles);
+  if (!names.length) {
+    console.error(`${c.red}Error: No profiles configured${c.reset}`);
+    console.log(`${c.dim}Add them to ${CONFIG_FILE}, e.g. { "profiles": { "work": { "configDir": "~/.claude-work" } } }${c.reset}`);
+    if (!watchMode) process.exit(1);
+    return;
+  }
+
+  const profiles = await loadProfileSummaries();
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ generated: new Date().toISOString(), profiles, total: { periods: sumProfilePeriods(profiles) } }, null, 2));
+    return;
+  }
+
+  if (watchMode) process.stdout.write(c.clear);
+
+  // The usual dashboard, with the profiles in the main table. Goals, quota and
+  // charts around it belong to the current profile.
+  if (existsSync(STATS_FILE) || (archiveEnabled && existsSync(ARCHIVE_FILE))) {
+    const data = loadStatsData();
+    const auth = loadAuth();
+    const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+    printStats(data, quota, profiles);
+  } else {
+    printProfilesTable(profiles);
+    printWatchFooter();
+  }
+}
+
+function printProfilesTable(profiles) {
+  const totals = sumProfilePeriods(profiles);
+  const width = 12;
+  const cell = (value) => pad(value, width);
+  const label = (name) => name.length >= width ? `${name.slice(0, width - 2)}…` : name;
+
+  console.log(`${c.bold}Profiles${c.reset}`);
+  console.log(`${c.bold}${pad('', 12)}${profiles.map(p => cell(label(p.name))).join('')}Total${c.reset}`);
+  console.log(`${c.dim}${'─'.repeat(12 + (profiles.length + 1) * width)}${c.reset}`);
+
+  const rows = [
+    ['Messages', c.yellow, p => formatNumber(p.messages)],
+    ['Tokens', c.magenta, p => formatTokens(p.tokens)],
+    ['Cost', c.green, p => formatCostEstimate({ total: p.estimatedCost, upperBound: p.estimatedCostUpperBound })],
+  ];
+
+  totals.forEach((total, i) => {
+    console.log(`${c.bold}${total.label}${c.reset}`);
+    for (const [name, color, format] of rows) {
+      const values = profiles.map(p => p.error ? `${c.dim}${cell('-')}${c.reset}` : `${color}${cell(format(p.periods[i]))}${c.reset}`);
+      console.log(`  ${pad(name, 10)}${values.join('')}${c.bold}${format(total)}${c.reset}`);
+    }
+  });
+
+  // Quota and streaks are per account - there's nothing to add up
+  console.log(`${c.bold}Quota${c.reset}`);
+  for (const [key, window] of Object.entries(QUOTA_WINDOWS)) {
+    const values = profiles.map(p => {
+      const pct = p.quota?.[key];
+      return pct === null || pct === undefined ? `${c.dim}${cell('-')}${c.reset}` : `${getQuotaColor(pct)}${cell(`${pct}%`)}${c.reset}`;
+    });
+    console.log(`  ${pad(window.label, 10)}${values.join('')}`);
+  }
+  console.log(`${c.bold}${pad('Streak', 12)}${c.reset}${profiles.map(p => `${c.brightYellow}${cell(p.streak ? `${p.streak} days` : '-')}${c.reset}`).join('')}`);
+
+  for (const p of profiles.filter(p => p.error)) {
+    console.log(`${c.yellow}Warning: ${p.name}: ${p.error}${c.reset}`);
+  }
+}
+
+// Team report - merges JSON exports from several people (--export stats.json)
+const TEAM_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function listJSONFiles(paths) {
+  const files = [];
+  const skipped = [];
+  for (const path of paths) {
+    if (!existsSync(path)) {
+      skipped.push({ file: path, error: 'not found' });
+    } else if (statSync(path).isDirectory()) {
+      const names = readdirSync(path).filter(name => name.endsWith('.json') && !name.startsWith('.')).sort();
+      if (!names.length) skipped.push({ file: path, error: 'no .json files in folder' });
+      files.push(...names.map(name => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+  return { files, skipped };
+}
+
+// Returns what's wrong with daily data shaped like stats-cache.json, or null
+function validateDailyData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return 'not a claude-meter export';
+  if (!Array.isArray(data.dailyActivity)) return 'not a claude-meter export (no dailyActivity) - was it exported as CSV or NDJSON?';
+  if (data.dailyModelTokens !== undefined && !Array.isArray(data.dailyModelTokens)) return '"dailyModelTokens" must be an array';
+
+  for (const [field, entries] of [['dailyActivity', data.dailyActivity], ['dailyModelTokens', data.dailyModelTokens || []]]) {
+    const i = entries.findIndex(d => !d || !TEAM_DATE.test(d.date));
+    if (i !== -1) return `${field}[${i}] has no valid date`;
+  }
+  const i = data.dailyActivity.findIndex(d => typeof d.messageCount !== 'number' || d.messageCount < 0);
+  if (i !== -1) return `dailyActivity[${i}] has no valid messageCount`;
+  return null;
+}
+
+// Returns what's wrong with an export, or null if it can be merged
+function validateExport(data) {
+  const error = validateDailyData(data);
+  if (error) return error;
+  if (isNaN(Date.parse(data.exported))) return 'missing or invalid "exported" timestamp';
+  if (data.user !== undefined && data.user !== null && typeof data.user !== 'string') return '"user" must be a string';
+  return null;
+}
+
+// Reads and validates every export, one member per user. When a user has several
+// files (e.g. one per week), days are merged and the newer export wins for a date.
+function loadTeamExports(paths) {
+  const { files, skipped } = listJSONFiles(paths);
+  const members = new Map();
+  const untagged = [];
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (err) {
+      skipped.push({ file, error: err instanceof SyntaxError ? 'not valid JSON' : err.message });
+      continue;
+    }
+    const error = validateExport(data);
+    if (error) {
+      skipped.push({ file, error });
+      continue;
+    }
+
+    const user = data.user?.trim() || basename(file).replace(/\.json$/, '');
+    if (!data.user?.trim()) untagged.push({ file, user });
+    const member = members.get(user) || { user, files: [], exported: null, activity: new Map(), tokens: new Map() };
+    const newer = !member.exported || data.exported >= member.exported;
+    for (const day of data.dailyActivity) {
+      if (newer || !member.activity.has(day.date)) member.activity.set(day.date, day);
+    }
+    for (const day of data.dailyModelTokens || []) {
+      if (newer || !member.tokens.has(day.date)) member.tokens.set(day.date, day);
+    }
+    member.files.push(file);
+    if (newer) member.exported = data.exported;
+    members.set(user, member);
+  }
+
+  const list = [...members.values()]
+    .map(m => ({
+      user: m.user,
+      files: m.files,
+      exported: m.exported,
+      dailyActivity: [...m.activity.values()].sort((a, b) => a.date.localeCompare(b.date)),
+      dailyModelTokens: [...m.tokens.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    }))
+    .sort((a, b) => a.user.localeCompare(b.user));
+
+  return { members: list, skipped, untagged };
+}
+
+// Trend is last 7 days vs the 7 before, counted back from the member's own export
+// date - a week-old export shouldn't show as a drop.
+function summarizeMember(member, now, prices) {
+  const filter = getActiveFilter(member.dailyActivity, now);
+  const days = filter ? filter.days : member.dailyActivity;
+  const stats = aggregateStats(days);
+  const tokens = aggregateTokens(member.dailyModelTokens, days);
+
+  const [y, m, d] = formatDate(new Date(member.exported)).split('-').map(Number);
+  const between = (from, to) => member.dailyActivity.filter(day => day.date >= from && day.date <= to);
+  const last7 = aggregateStats(between(utcDateStr(y, m - 1, d - 6), utcDateStr(y, m - 1, d))).messages;
+  const prev7 = aggregateStats(between(utcDateStr(y, m - 1, d - 13), utcDateStr(y, m - 1, d - 7))).messages;
+
+  return {
+    user: member.user,
+    files: member.files,
+    exported: member.exported,
+    ...stats,
+    tokens: tokens.total,
+    tokensByModel: Object.fromEntries(aggregateModels(tokens.byModel).map(m => [m.name, m.tokens])),
+    // Exports only have daily totals, so this is always the blended upper bound
+    estimatedCost: roundCost(estimateCost(tokens.byModel, prices)).total,
+    estimatedCostUpperBound: true,
+    trend: {
+      last7Days: last7,
+      previous7Days: prev7,
+      change: roundChange(getChange(last7, prev7)),
+    },
+  };
+}
+
+// Day by day sums across members, in the same shape as the stats cache
+function combineTeamDays(members) {
+  const activity = new Map();
+  const tokens = new Map();
+  for (const member of members) {
+    for (const day of member.dailyActivity) {
+      const sum = activity.get(day.date) || { date: day.date, messageCount: 0, sessionCount: 0, toolCallCount: 0 };
+      sum.messageCount += day.messageCount || 0;
+      sum.sessionCount += day.sessionCount || 0;
+      sum.toolCallCount += day.toolCallCount || 0;
+      activity.set(day.date, sum);
+    }
+    for (const day of member.dailyModelTokens) {
+      const sum = tokens.get(day.date) || { date: day.date, tokensByModel: {} };
+      for (const [model, count] of Object.entries(day.tokensByModel || {})) {
+        sum.tokensByModel[model] = (sum.tokensByModel[model] || 0) + count;
+      }
+      tokens.set(day.date, sum);
+    }
+  }
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  return { dailyActivity: [...activity.values()].sort(byDate), dailyModelTokens: [...tokens.values()].sort(byDate) };
+}
+
+function buildTeamReport(members, combined, filter, now) {
+  const prices = loadPrices();
+  const summaries = members.map(m => summarizeMember(m, now, prices));
+  const days = filter ? filter.days : combined.dailyActivity;
+  const tokens = aggregateTokens(combined.dailyModelTokens, days);
+
+  const total = {
+    ...aggregateStats(days),
+    tokens: tokens.total,
+    estimatedCost: roundCost(estimateCost(tokens.byModel, prices)).total,
+    estimatedCostUpperBound: true,
+  };
+  const last7 = summaries.reduce((sum, s) => sum + s.trend.last7Days, 0);
+  const prev7 = summaries.reduce((sum, s) => sum + s.trend.previous7Days, 0);
+  total.trend = { last7Days: last7, previous7Days: prev7, change: roundChange(getChange(last7, prev7)) };
+
+  return {
+    generated: now.toISOString(),
+    period: filter ? filter.period : 'all',
+    label: filter ? filter.label : 'All Time',
+    ...(filter?.from && { from: filter.from, to: filter.to }),
+    members: summaries,
+    total,
+    models: aggregateModels(tokens.byModel).map(m => ({ name: m.name, tokens: m.tokens, share: Math.round(m.share * 1000) / 1000 })),
+    dailyActivity: days,
+  };
+}
+
+// One row per member - the daily data is in the JSON output
+function teamToCSV(members) {
+  const models = [...new Set(members.flatMap(m => Object.keys(m.tokensByModel)))].sort();
+  const header = ['user', 'messages', 'sessions', 'tool_calls', 'active_days', 'tokens', 'estimated_cost_max', 'last_7_days', 'previous_7_days', 'trend_pct', ...models];
+  const rows = members.map(m => [
+    m.user, m.messages, m.sessions, m.toolCalls, m.activeDays, m.tokens, m.estimatedCost,
+    m.trend.last7Days, m.trend.previous7Days, m.trend.change ?? '',
+    ...models.map(name => m.tokensByModel[name] || 0),
+  ]);
+  return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+function printTeam() {
+  if (!teamPaths.length) {
+    console.error(`${c.red}Error: No exports given${c.reset}`);
+    console.log(`${c.dim}Usage: claude-meter team <folder|files...>  (files from claude-meter --export <name>.json)${c.reset}`);
+    process.exit(1);
+  }
+
+  const now = new Date();
+  const { members, skipped, untagged } = loadTeamExports(teamPaths);
+  for (const s of skipped) console.error(`${c.yellow}Warning: Skipped ${s.file}: ${s.error}${c.reset}`);
+  if (!members.length) {
+    console.error(`${c.red}Error: No valid exports found${c.reset}`);
+    if (!watchMode) process.exit(1);
+    return;
+  }
+
+  const combined = combineTeamDays(members);
+  const filter = getActiveFilter(combined.dailyActivity, now);
+  const report = { ...buildTeamReport(members, combined, filter, now), skipped };
+
+  // --format without --export prints to stdout, for piping
+  if (exportFile || formatArg) {
+    const format = getExportFormat();
+    const text = format === 'json'
+      ? JSON.stringify(report, null, 2)
+      : format === 'csv' ? teamToCSV(report.members) : toNDJSON(report.members);
+    if (!exportFile) {
+      process.stdout.write(format === 'json' ? `${text}\n` : text);
+      return;
+    }
+    writeFileSync(exportFile, text);
+    console.log(`${c.green}✓${c.reset} Team report for ${report.members.length} member${report.members.length === 1 ? '' : 's'} exported to ${c.cyan}${exportFile}${c.reset} ${c.dim}(${format})${c.reset}`);
+    return;
+  }
+  if (jsonOutput) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`${c.bold}Team${c.reset} ${c.dim}(${report.label} · ${report.members.length} member${report.members.length === 1 ? '' : 's'})${c.reset}`);
+  for (const u of untagged) {
+    console.log(`${c.dim}${u.file} has no user tag - shown as '${u.user}'${c.reset}`);
+  }
+  console.log();
+
+  // Per-member totals
+  const width = Math.max(8, ...report.members.map(m => m.user.length)) + 2;
+  console.log(`${c.bold}${pad('Member', width)}${pad('Messages', 10)}${pad('Tokens', 9)}${pad('Cost', 10)}${pad('Days', 6)}7d trend${c.reset}`);
+  console.log(`${c.dim}${'─'.repeat(width + 45)}${c.reset}`);
+  const row = (name, m, color = '') => {
+    const change = m.trend.change === null ? '' : `${m.trend.change > 0 ? '+' : ''}${m.trend.change}%`;
+    const trend = `${getTrend(m.trend.last7Days, m.trend.previous7Days)} ${c.dim}${change}${c.reset}`;
+    console.log(`${color}${pad(name, width)}${c.reset}${c.yellow}${pad(formatNumber(m.messages), 10)}${c.reset}${c.magenta}${pad(formatTokens(m.tokens), 9)}${c.reset}${c.green}${pad(formatCostEstimate({ total: m.estimatedCost, upperBound: true }), 10)}${c.reset}${pad(m.activeDays, 6)}${trend}`);
+  };
+  for (const m of report.members) row(m.user, m);
+  if (report.members.length > 1) {
+    console.log(`${c.dim}${'─'.repeat(width + 45)}${c.reset}`);
+    row('Total', report.total, c.bold);
+  }
+  console.log();
+
+  // Leaderboard by messages
+  const ranked = [...report.members].sort((a, b) => b.messages - a.messages);
+  const max = ranked[0].messages;
+  const rankColors = [c.brightYellow, c.white, c.yellow];
+  console.log(`${c.bold}Leaderboard${c.reset} ${c.dim}(messages)${c.reset}`);
+  ranked.forEach((m, i) => {
+    const share = report.total.messages > 0 ? `${Math.round((m.messages / report.total.messages) * 100)}%` : '-';
+    console.log(`  ${rankColors[i] || c.dim}${`${i + 1}.`.padStart(3)}${c.reset} ${pad(m.user, width)}${makeGradientBar(m.messages, max, 24)} ${c.yellow}${formatNumber(m.messages).padStart(6)}${c.reset} ${c.dim}${share.padStart(4)}${c.reset}`);
+  });
+
+  // Combined activity, like the dashboard's heatmap section
+  if (!filter) {
+    console.log();
+    if (getCalendarWidth(getCalendarWeeks()) <= (process.stdout.columns || 80)) {
+      printCalendar(combined.dailyActivity);
+    } else {
+      printHeatmap(combined.dailyActivity, config.heatmapDays);
+    }
+  }
+
+  const models = aggregateModels(aggregateTokens(combined.dailyModelTokens, report.dailyActivity).byModel);
+  if (models.length) {
+    console.log();
+    printModelMix(models, report.label);
+  }
+}
+
+// Reports - a shareable Markdown or self-contained HTML summary of one period
+const REPORT_PERIODS = ['week', 'month'];
+const REPORT_FORMATS = ['md', 'html'];
+// Hex versions of MODEL_COLORS, in the same order
+const REPORT_MODEL_COLORS = ['#c678dd', '#56b6c2', '#98c379', '#e5c07b', '#61afef', '#d19afe', '#7fdbe6', '#b5e890'];
+
+function getReportFormat() {
+  if (args.includes('--html')) return 'html';
+  if (args.includes('--md')) return 'md';
+  const ext = (reportOutput || '').toLowerCase().split('.').pop();
+  return ext === 'html' || ext === 'htm' ? 'html' : 'md';
+}
+
+// The reported period and the one before it, as inclusive dates. Month is month to
+// date, compared with the same days of last month; --from/--to compare with an
+// equally long span right before.
+function getReportRange(activity, now) {
+  const today = formatDate(now);
+  const [y, m, d] = today.split('-').map(Number);
+  const range = getDateRange();
+
+  if (range) {
+    const from = range.from === '0000-01-01' ? (activity[0]?.date || range.to) : range.from;
+    const [fy, fm, fd] = from.split('-').map(Number);
+    const length = getDailySeries([], from, range.to).length;
+    return {
+      period: 'range',
+      label: formatRangeLabel(from, range.to),
+      from,
+      to: range.to,
+      previousFrom: utcDateStr(fy, fm - 1, fd - length),
+      previousTo: utcDateStr(fy, fm - 1, fd - 1),
+    };
+  }
+
+  if (reportPeriod === 'month') {
+    const lastOfPrevious = utcDateStr(y, m - 1, 0);
+    const sameDay = utcDateStr(y, m - 2, d);
+    return {
+      period: 'month',
+      label: now.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      from: utcDateStr(y, m - 1, 1),
+      to: today,
+      previousFrom: utcDateStr(y, m - 2, 1),
+      previousTo: sameDay < lastOfPrevious ? sameDay : lastOfPrevious,
+    };
+  }
+
+  return {
+    period: 'week',
+    label: 'Last 7 Days',
+    from: utcDateStr(y, m - 1, d - 6),
+    to: today,
+    previousFrom: utcDateStr(y, m - 1, d - 13),
+    previousTo: utcDateStr(y, m - 1, d - 7),
+  };
+}
+
+function summarizeReportPeriod(activity, tokenData, from, to, estimateDaysCost) {
+  const days = activity.filter(day => day.date >= from && day.date <= to);
+  const stats = aggregateStats(days);
+  const tokens = aggregateTokens(tokenData, days);
+  const cost = estimateDaysCost(days);
+  return { ...stats, tokens: tokens.total, cost: cost.total, costUpperBound: cost.upperBound, byModel: tokens.byModel };
+}
+
+function buildReport(data, now) {
+  const activity = data.dailyActivity || [];
+  const tokenData = data.dailyModelTokens || [];
+  const range = getReportRange(activity, now);
+  const estimateDaysCost = createCostEstimator(tokenData, loadPrices());
+  const current = summarizeReportPeriod(activity, tokenData, range.from, range.to, estimateDaysCost);
+  const previous = summarizeReportPeriod(activity, tokenData, range.previousFrom, range.previousTo, estimateDaysCost);
+
+  const tokensByDate = new Map(tokenData.map(day => [day.date, day.tokensByModel || {}]));
+  const days = getDailySeries(activity, range.from, range.to).map(day => ({
+    date: day.date,
+    messages: day.messageCount || 0,
+    tokens: Object.values(tokensByDate.get(day.date) || {}).reduce((sum, n) => sum + n, 0),
+  }));
+  const bestDay = days.reduce((best, day) => day.messages > (best?.messages || 0) ? day : best, null);
+
+  // Longest run of active days inside the period
+  let longestStreak = 0;
+  let run = 0;
+  for (const day of days) {
+    run = day.messages > 0 ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  // The weekly goal is prorated for periods that aren't exactly 7 days
+  const goals = loadGoals();
+  const goalReport = goals && {
+    daily: goals.daily ? { goal: goals.daily, met: days.filter(day => day.messages >= goals.daily).length, days: days.length } : null,
+    weekly: goals.weekly ? { goal: goals.weekly, target: Math.round((goals.weekly * days.length) / 7), messages: current.messages } : null,
+  };
+
+  return {
+    ...range,
+    generated: now.toISOString(),
+    current,
+    previous,
+    days,
+    models: aggregateModels(current.byModel),
+    bestDay,
+    streak: calculateStreak(activity),
+    longestStreak,
+    goals: goalReport,
+  };
+}
+
+const REPORT_ROWS = [
+  ['Messages', 'messages', n => n.toLocaleString('en-US')],
+  ['Sessions', 'sessions', n => n.toLocaleString('en-US')],
+  ['Tool calls', 'toolCalls', n => n.toLocaleString('en-US')],
+  ['Tokens', 'tokens', formatTokens],
+  ['Est. cost', 'cost', (n, period) => formatCostEstimate({ total: n, upperBound: period.costUpperBound })],
+  ['Active days', 'activeDays', n => String(n)],
+];
+
+function formatReportChange(current, previous) {
+  const change = getChange(current, previous);
+  if (change === null) return current > 0 ? 'new' : '–';
+  const rounded = Math.round(change);
+  return `${getTrendArrow(change)} ${rounded > 0 ? '+' : ''}${rounded}%`;
+}
+
+function formatReportDay(date, withYear = false) {
+  const options = { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' };
+  if (withYear) options.year = 'numeric';
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', options);
+}
+
+function reportPeriodName(report) {
+  if (report.period === 'week') return 'This week';
+  if (report.period === 'month') return 'This month';
+  return 'This period';
+}
+
+// Sentences shared by both formats
+function buildReportHighlights(report) {
+  const lines = [];
+  if (report.bestDay) {
+    lines.push(['Best day', `${formatReportDay(report.bestDay.date)} - ${report.bestDay.messages.toLocaleString('en-US')} messages, ${formatTokens(report.bestDay.tokens)} tokens`]);
+  }
+  lines.push(['Streak', `${report.streak} day${report.streak === 1 ? '' : 's'} (longest in this period: ${report.longestStreak})`]);
+  if (report.goals?.daily) {
+    const { goal, met, days } = report.goals.daily;
+    lines.push([`Daily goal (${goal.toLocaleString('en-US')})`, `met on ${met} of ${days} days`]);
+  }
+  if (report.goals?.weekly) {
+    const { goal, target, messages } = report.goals.weekly;
+    const pct = target > 0 ? Math.round((messages / target) * 100) : 0;
+    const prorated = report.days.length === 7 ? '' : ` (${target.toLocaleString('en-US')} for ${report.days.length} days)`;
+    lines.push([`Weekly goal (${goal.toLocaleString('en-US')})`, `${messages.toLocaleString('en-US')} messages${prorated} - ${pct}%${pct >= 100 ? ' ✓' : ''}`]);
+  }
+  return lines;
+}
+
+function renderMarkdownReport(report) {
+  const name = reportPeriodName(report);
+  const lines = [
+    `# Claude Code usage: ${report.label}`,
+    '',
+    `${formatReportDay(report.from, true)} – ${formatReportDay(report.to, true)}, compared with ${formatReportDay(report.previousFrom)} – ${formatReportDay(report.previousTo)}. Generated ${report.generated.slice(0, 10)} by claude-meter v${VERSION}.`,
+    '',
+    '## Summary',
+    '',
+    `| | ${name} | Previous | Change |`,
+    '|---|---:|---:|---:|',
+    ...REPORT_ROWS.map(([label, key, format]) =>
+      `| ${label} | ${format(report.current[key], report.current)} | ${format(report.previous[key], report.previous)} | ${formatReportChange(report.current[key], report.previous[key])} |`),
+    '',
+    '## Highlights',
+    '',
+    ...buildReportHighlights(report).map(([label, text]) => `- **${label}:** ${text}`),
+    '',
+    '## Daily breakdown',
+    '',
+    '| Day | Messages | Tokens | |',
+    '|---|---:|---:|---|',
+  ];
+
+  const max = Math.max(...report.days.map(day => day.messages), 1);
+  for (const day of report.days) {
+    const bar = '█'.repeat(Math.round((day.messages / max) * 20)) || '·';
+    const star = day === report.bestDay ? ' ★' : '';
+    lines.push(`| ${formatReportDay(day.date)} | ${day.messages.toLocaleString('en-US')} | ${formatTokens(day.tokens)} | ${bar}${star} |`);
+  }
+
+  lines.push('', '## Model mix', '');
+  if (report.models.length) {
+    lines.push('| Model | Tokens | Share |', '|---|---:|---:|');
+    for (const m of report.models) lines.push(`| ${m.name} | ${formatTokens(m.tokens)} | ${Math.round(m.share * 100)}% |`);
+  } else {
+    lines.push('No token data for this period.');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Daily messages as bars, the best day highlighted; hover shows the numbers
+function svgDailyChart(report) {
+  const width = 720;
+  const height = 200;
+  const chartHeight = height - 24;
+  const step = width / report.days.length;
+  const max = Math.max(...report.days.map(day => day.messages), 1);
+  const labelEvery = Math.ceil(report.days.length / 10);
+
+  const parts = report.days.map((day, i) => {
+    const h = Math.round((day.messages / max) * (chartHeight - 4));
+    const x = (i * step + step * 0.15).toFixed(1);
+    const fill = day === report.bestDay ? '#e5c07b' : '#56b6c2';
+    const title = `${formatReportDay(day.date)}: ${day.messages.toLocaleString('en-US')} messages, ${formatTokens(day.tokens)} tokens`;
+    const bar = `<rect x="${x}" y="${chartHeight - h}" width="${(step * 0.7).toFixed(1)}" height="${h}" rx="2" fill="${fill}"><title>${escapeHTML(title)}</title></rect>`;
+    if (i % labelEvery !== 0 && i !== report.days.length - 1) return bar;
+    const label = new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${bar}<text x="${(i * step + step / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${label}</text>`;
+  });
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Messages per day">
+  <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" stroke="#ccc" />
+  ${parts.join('\n  ')}
+</svg>`;
+}
+
+// Model shares as one stacked bar
+function svgModelMix(models) {
+  const width = 720;
+  let x = 0;
+  const parts = models.map((m, i) => {
+    const w = i === models.length - 1 ? width - x : Math.round(m.share * width);
+    const rect = `<rect x="${x}" y="0" width="${w}" height="24" fill="${REPORT_MODEL_COLORS[i % REPORT_MODEL_COLORS.length]}"><title>${escapeHTML(`${m.name}: ${Math.round(m.share * 100)}%`)}</title></rect>`;
+    x += w;
+    return rect;
+  });
+  return `<svg viewBox="0 0 ${width} 24" role="img" aria-label="Model mix">${parts.join('')}</svg>`;
+}
+
+function renderHtmlReport(report) {
+  const name = reportPeriodName(report);
+  const title = `Claude Code usage: ${report.label}`;
+  const summary = REPORT_ROWS.map(([label, key, format]) => {
+    const change = formatReportChange(report.current[key], report.previous[key]);
+    const cls = change.startsWith('↑') ? ' class="up"' : change.startsWith('↓') ? ' class="down"' : '';
+    return `<tr><th>${label}</th><td>${format(report.current[key], report.current)}</td><td>${format(report.previous[key], report.previous)}</td><td${cls}>${change}</td></tr>`;
+  });
+  const highlights = buildReportHighlights(report).map(([label, text]) => `<li><strong>${escapeHTML(label)}:</strong> ${escapeHTML(text)}</li>`);
+  const models = report.models.map((m, i) =>
+    `<tr><th><span class="dot" style="background:${REPORT_MODEL_COLORS[i % REPORT_MODEL_COLORS.length]}"></span>${escapeHTML(m.name)}</th><td>${formatTokens(m.tokens)}</td><td>${Math.round(m.share * 100)}%</td></tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #24292f; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #eee; padding-bottom: 0.3rem; }
+  .meta { color: #6e7781; margin-top: 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { padding: 0.35rem 0.6rem; border-bottom: 1px solid #eee; text-align: right; }
+  th:first-child { text-align: left; font-weight: 500; }
+  thead th { color: #6e7781; font-weight: 500; }
+  .up { color: #1a7f37; }
+  .down { color: #cf222e; }
+  .dot { display: inline-block; width: 0.7rem; height: 0.7rem; border-radius: 50%; margin-right: 0.5rem; }
+  svg { width: 100%; height: auto; display: block; margin: 0.5rem 0; }
+  svg text { font-size: 11px; fill: #6e7781; }
+  ul { padding-left: 1.2rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">${formatReportDay(report.from, true)} – ${formatReportDay(report.to, true)}, compared with ${formatReportDay(report.previousFrom)} – ${formatReportDay(report.previousTo)}. Generated ${report.generated.slice(0, 10)} by claude-meter v${VERSION}.</p>
+
+<h2>Summary</h2>
+<table>
+<thead><tr><th></th><th>${name}</th><th>Previous</th><th>Change</th></tr></thead>
+<tbody>
+${summary.join('\n')}
+</tbody>
+</table>
+
+<h2>Highlights</h2>
+<ul>
+${highlights.join('\n')}
+</ul>
+
+<h2>Daily breakdown</h2>
+${svgDailyChart(report)}
+
+<h2>Model mix</h2>
+${report.models.length ? `${svgModelMix(report.models)}
+<table>
+<tbody>
+${models.join('\n')}
+</tbody>
+</table>` : '<p>No token data for this period.</p>'}
+</body>
+</html>
+`;
+}
+
+function writeReport(data) {
+  if (reportOutputIndex !== -1 && (!reportOutput || reportOutput.startsWith('-'))) {
+    console.error(`${c.red}Error: ${args[reportOutputIndex]} needs a file name${c.reset}`);
+    process.exit(1);
+  }
+  if (reportPeriodIndex !== -1 && !REPORT_PERIODS.includes(reportPeriod)) {
+    console.error(`${c.red}Error: Unknown report period '${reportPeriod || ''}'${c.reset}`);
+    console.log(`${c.dim}Usage: claude-meter report --period ${REPORT_PERIODS.join('|')} [--${REPORT_FORMATS.join('|--')}] [-o file]${c.reset}`);
+    process.exit(1);
+  }
+
+  const report = buildReport(data, new Date());
+  const format = getReportFormat();
+  const text = format === 'html' ? renderHtmlReport(report) : renderMarkdownReport(report);
+
+  if (!reportOutput) {
+    process.stdout.write(text);
+    return;
+  }
+  writeFileSync(reportOutput, text);
+  console.log(`${c.green}✓${c.reset} ${report.label} report written to ${c.cyan}${reportOutput}${c.reset} ${c.dim}(${format})${c.reset}`);
+}
+
+function printJSON(data) {
+  const activity = data.dailyActivity || [];
+  const now = new Date();
+  const filter = getActiveFilter(activity, now);
+  const filtered = filter ? filter.days : activity;
+
+  const stats = aggregateStats(filtered);
+  const tokens = aggregateTokens(data.dailyModelTokens || [], filtered);
+  const output = {
+    period: filter ? filter.period : 'all',
+    ...(filter?.from && { from: filter.from, to: filter.to }),
+    generated: now.toISOString(),
+    stats: {
+      messages: stats.messages,
+      sessions: stats.sessions,
+      toolCalls: stats.toolCalls,
+      activeDays: stats.activeDays,
+      tokens: tokens.total,
+    },
+    estimatedCost: roundCost(createCostEstimator(data.dailyModelTokens || [], loadPrices())(filtered)),
+    ...(tokenSplitArg && { tokenSplit: buildTokenSplitJSON(now) }),
+    models: aggregateModels(tokens.byModel).map(m => ({
+      name: m.name,
+      tokens: m.tokens,
+      share: Math.round(m.share * 1000) / 10,
+      modelIds: m.modelIds,
+    })),
+    dailyActivity: filtered,
+  };
+
+  console.log(JSON.stringify(output, null, 2));
+}
+
+// Template output - placeholders are {path} or {path:modifier}, where
+// modifier is "raw" (plain number / ISO date) or "short" (compact form)
+function loadTemplates() {
+  return config.templates;
+}
+
+function templateValue(raw, text, short = text, color = null) {
+  return { raw, text, short, color };
+}
+
+const EMPTY_VALUE = templateValue('', '');
+
+function buildPeriodValues(days, tokenData, estimateDaysCost) {
+  const stats = aggregateStats(days);
+  const tokens = aggregateTokens(tokenData, days);
+  const estimate = estimateDaysCost(days);
+  const cost = estimate.total;
+  const bound = estimate.upperBound ? '≤' : '';
+  const count = (n, color) => templateValue(n, n.toLocaleString('en-US'), formatNumber(n), color);
+
+  return {
+    messages: count(stats.messages, c.yellow),
+    sessions: count(stats.sessions, c.dim),
+    tools: count(stats.toolCalls, c.dim),
+    days: count(stats.activeDays, c.dim),
+    tokens: templateValue(tokens.total, tokens.total.toLocaleString('en-US'), formatTokens(tokens.total), c.magenta),
+    cost: templateValue(
+      Math.round(cost * 100) / 100,
+      `${bound}$${cost.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+      `${bound}${formatCost(cost)}`,
+      c.green
+    ),
+  };
+}
+
+function buildTemplateContext(data, quota) {
+  const activity = data.dailyActivity || [];
+  const tokenData = data.dailyModelTokens || [];
+  const now = new Date();
+  const todayStr = formatDate(now);
+  const estimateDaysCost = createCostEstimator(tokenData, loadPrices());
+  const period = (days) => buildPeriodValues(days, tokenData, estimateDaysCost);
+
+  const context = {
+    today: period(activity.filter(d => d.date === todayStr)),
+    week: period(getLast7Days(activity)),
+    month: period(getThisMonth(activity, now)),
+    all: period(activity),
+    streak: templateValue(calculateStreak(activity), String(calculateStreak(activity)), String(calculateStreak(activity)), c.brightYellow),
+    date: templateValue(todayStr, todayStr),
+    time: templateValue(now.toISOString(), now.toLocaleTimeString(), now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })),
+    version: templateValue(VERSION, VERSION),
+  };
+
+  const filter = getActiveFilter(activity, now);
+  if (filter) context.range = period(filter.days);
+
+  const goals = loadGoals();
+  const progress = {
+    daily: aggregateStats(activity.filter(d => d.date === todayStr)).messages,
+    weekly: aggregateStats(getLast7Days(activity)).messages,
+  };
+  context.goals = {};
+  for (const key of ['daily', 'weekly']) {
+    if (!goals) {
+      context.goals[key] = { target: EMPTY_VALUE, value: EMPTY_VALUE, pct: EMPTY_VALUE };
+      continue;
+    }
+    const pct = goals[key] ? Math.round((progress[key] / goals[key]) * 100) : 0;
+    context.goals[key] = {
+      target: templateValue(goals[key], goals[key].toLocaleString('en-US'), formatNumber(goals[key])),
+      value: templateValue(progress[key], progress[key].toLocaleString('en-US'), formatNumber(progress[key]), c.yellow),
+      pct: templateValue(pct, String(pct), String(pct), pct >= 100 ? c.green : c.cyan),
+    };
+  }
+
+  context.quota = { status: templateValue(quotaStatus || '', quotaStatus || '') };
+  for (const key of Object.keys(QUOTA_WINDOWS)) {
+    const window = quota?.[key];
+    if (!window) {
+      context.quota[key] = { pct: EMPTY_VALUE, reset: EMPTY_VALUE };
+      continue;
+    }
+    const pct = window.utilization || 0;
+    const reset = formatTimeUntil(window.resets_at);
+    context.quota[key] = {
+      pct: templateValue(pct, String(Math.round(pct)), String(Math.round(pct)), getQuotaColor(pct)),
+      reset: templateValue(window.resets_at || '', reset, reset.replace(' ', ''), c.dim),
+    };
+  }
+
+  return context;
+}
+
+function renderTemplate(template, context, colors) {
+  return template.replace(/\{([a-z0-9_.]+)(?::(raw|short))?\}/gi, (match, path, modifier) => {
+    const value = path.split('.').reduce((node, key) => node?.[key], context);
+    if (!value || !('raw' in value)) return match; // unknown placeholder - leave it visible
+
+    const text = modifier === 'raw' ? String(value.raw) : modifier === 'short' ? value.short : value.text;
+    return colors && value.color && text ? `${value.color}${text}${c.reset}` : text;
+  });
+}
+
+function printTemplate(data, quota) {
+  if (!templateArg) {
+    console.error(`${c.red}Error: --template needs a template or a template name${c.reset}`);
+    console.log(`${c.dim}Usage: claude-meter --template '{today.messages} msgs · {quota.five_hour.pct}%'${c.reset}`);
+    process.exit(1);
+  }
+
+  // No braces means a template name
+  let template = templateArg;
+  if (!template.includes('{')) {
+    const templates = loadTemplates();
+    if (!templates[template]) {
+      console.error(`${c.red}Error: No template named '${template}'${c.reset}`);
+      const names = Object.keys(templates);
+      console.log(`${c.dim}${names.length ? `Available: ${names.join(', ')}` : `Define named templates under "templates" in ${CONFIG_FILE}`}${c.reset}`);
+      process.exit(1);
+    }
+    template = templates[template];
+  }
+
+  console.log(renderTemplate(template, buildTemplateContext(data, quota), templateColors));
+}
+
+function buildTokenSplitJSON(now) {
+  const range = getActiveRange(now);
+  const [split] = aggregateTokenSplit([range || { from: null, to: null }]);
+  return {
+    source: 'transcripts',
+    totals: split.totals,
+    total: split.total,
+    cacheHitRatio: Math.round(split.cacheHitRatio * 1000) / 1000,
+    byModel: split.byModel,
+    estimatedCost: roundCost(estimateSplitCost(split.byModel, loadPrices())),
+  };
+}
+
+function printCompact(data) {
+  const activity = data.dailyActivity || [];
+  const now = new Date();
+  const filter = getActiveFilter(activity, now);
+
+  // With a filter, summarize just that period
+  if (filter) {
+    const stats = aggregateStats(filter.days);
+    const tokens = aggregateTokens(data.dailyModelTokens || [], filter.days);
+    const cost = createCostEstimator(data.dailyModelTokens || [], loadPrices())(filter.days);
+    console.log([
+      `${c.bold}${filter.label}:${c.reset} ${formatNumber(stats.messages)}`,
+      `${formatTokens(tokens.total)} tok`,
+      formatCostEstimate(cost),
+    ].join(' │ '));
+    return;
+  }
+
+  const todayStr = formatDate(now);
+  const todayData = activity.find(d => d.date === todayStr) || { messageCount: 0 };
+  const last7Stats = aggregateStats(getLast7Days(activity));
+  const allTime = aggregateStats(activity);
+  const streak = calculateStreak(activity);
+
+  const parts = [
+    `${c.bold}Today:${c.reset} ${formatNumber(todayData.messageCount)}`,
+    `${c.bold}7d:${c.reset} ${formatNumber(last7Stats.messages)}`,
+    `${c.bold}All:${c.reset} ${formatNumber(allTime.messages)}`,
+  ];
+
+  if (streak > 1) {
+    parts.push(`${c.brightYellow}🔥${streak}${c.reset}`);
+  }
+
+  console.log(parts.join(' │ '));
+}
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+function getExportFormat() {
+  if (formatArg) {
+    if (!EXPORT_FORMATS.includes(formatArg)) {
+      console.error(`${c.red}Error: Unknown export format '${formatArg}'${c.reset}`);
+      console.log(`${c.dim}Supported: ${EXPORT_FORMATS.join(', ')}${c.reset}`);
+      process.exit(1);
+    }
+    return formatArg;
+  }
+  const ext = exportFile.toLowerCase().split('.').pop();
+  if (ext === 'csv') return 'csv';
+  if (ext === 'ndjson' || ext === 'jsonl') return 'ndjson';
+  return 'json';
+}
+
+// One flat record per day, with tokens split by (friendly) model name
+function buildDailyRecords(activity, tokenData) {
+  const tokensByDate = Object.fromEntries(tokenData.map(d => [d.date, d.tokensByModel || {}]));
+
+  return [...activity]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => {
+      const models = aggregateModels(tokensByDate[day.date] || {});
+      return {
+        date: day.date,
+        messages: day.messageCount || 0,
+        sessions: day.sessionCount || 0,
+        toolCalls: day.toolCallCount || 0,
+        tokens: models.reduce((sum, m) => sum + m.tokens, 0),
+        tokensByModel: Object.fromEntries(models.map(m => [m.name, m.tokens])),
+      };
+    });
+}
+
+function csvEscape(value) {
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(records) {
+  const models = [...new Set(records.flatMap(r => Object.keys(r.tokensByModel)))].sort();
+  const header = ['date', 'messages', 'sessions', 'tool_calls', 'tokens', ...models];
+  const rows = records.map(r => [
+    r.date, r.messages, r.sessions, r.toolCalls, r.tokens,
+    ...models.map(m => r.tokensByModel[m] || 0),
+  ]);
+  return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+function toNDJSON(records) {
+  return records.map(r => JSON.stringify(r)).join('\n') + '\n';
+}
+
+// Tags JSON exports, so `claude-meter team` can merge several people's files
+function getExportUser() {
+  if (config.user) return config.user;
+  try {
+    return userInfo().username;
+  } catch {
+    return null; // no passwd entry, e.g. in some containers
+  }
+}
+
+function exportStats(data) {
+  const activity = data.dailyActivity || [];
+  const tokenData = data.dailyModelTokens || [];
+  const now = new Date();
+  const format = getExportFormat();
+
+  if (format !== 'json') {
+    const filter = getActiveFilter(activity, now);
+    const records = buildDailyRecords(filter ? filter.days : activity, tokenData);
+    if (!exportFile) {
+      process.stdout.write(format === 'csv' ? toCSV(records) : toNDJSON(records));
+      return;
+    }
+    writeFileSync(exportFile, format === 'csv' ? toCSV(records) : toNDJSON(records));
+    console.log(`${c.green}✓${c.reset} ${records.length} day${records.length === 1 ? '' : 's'} exported to ${c.cyan}${exportFile}${c.reset} ${c.dim}(${format})${c.reset}`);
+    return;
+  }
+
+  const todayEntry = activity.find(d => d.date === formatDate(now));
+  const estimateDaysCost = createCostEstimator(tokenData, loadPrices());
+  const periodCost = (days) => roundCost(estimateDaysCost(days));
+
+  const output = {
+    exported: now.toISOString(),
+    user: getExportUser(),
+    stats: {
+      today: aggregateStats([todayEntry || {}]),
+      last7Days: aggregateStats(getLast7Days(activity)),
+      thisMonth: aggregateStats(getThisMonth(activity, now)),
+      allTime: aggregateStats(activity),
+    },
+    estimatedCost: {
+      today: periodCost(todayEntry ? [todayEntry] : []),
+      last7Days: periodCost(getLast7Days(activity)),
+      thisMonth: periodCost(getThisMonth(activity, now)),
+      allTime: periodCost(activity),
+    },
+    streak: calculateStreak(activity),
+    dailyActivity: activity,
+    dailyModelTokens: tokenData,
+  };
+
+  // An active filter adds the selected period and limits the daily data to it
+  const filter = getActiveFilter(activity, now);
+  if (filter) {
+    output.period = filter.period;
+    if (filter.from) Object.assign(output, { from: filter.from, to: filter.to });
+    output.stats.selected = aggregateStats(filter.days);
+    output.estimatedCost.selected = periodCost(filter.days);
+    const dates = new Set(filter.days.map(d => d.date));
+    output.dailyActivity = filter.days;
+    output.dailyModelTokens = tokenData.filter(d => dates.has(d.date));
+  }
+
+  // --format without --export prints to stdout, for piping
+  if (!exportFile) {
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+  writeFileSync(exportFile, JSON.stringify(output, null, 2));
+  console.log(`${c.green}✓${c.reset} Stats exported to ${c.cyan}${exportFile}${c.reset}`);
+}
+
+// Metrics - OpenMetrics for --serve, Prometheus text format for --textfile
+const METRICS_DAYS = 30; // per-day series are limited to keep cardinality sane
+const METRICS_QUOTA_TTL = 60 * 1000;
+
+function buildMetrics(data, quota) {
+  const activity = data.dailyActivity || [];
+  const tokenData = data.dailyModelTokens || [];
+  const now = new Date();
+  const todayEntry = activity.find(d => d.date === formatDate(now));
+  const allTime = aggregateStats(activity);
+  const allTimeTokens = aggregateTokens(tokenData, activity);
+  const recent = [...activity].sort((a, b) => a.date.localeCompare(b.date)).slice(-METRICS_DAYS);
+  const recentDates = new Set(recent.map(d => d.date));
+  const goals = loadGoals();
+
+  const families = [
+    { name: 'claude_meter_info', type: 'gauge', help: 'Claude Meter version', samples: [{ labels: { version: VERSION }, value: 1 }] },
+    { name: 'claude_meter_messages', type: 'counter', help: 'Messages, all time', samples: [{ value: allTime.messages }] },
+    { name: 'claude_meter_sessions', type: 'counter', help: 'Sessions, all time', samples: [{ value: allTime.sessions }] },
+    { name: 'claude_meter_tool_calls', type: 'counter', help: 'Tool calls, all time', samples: [{ value: allTime.toolCalls }] },
+    {
+      name: 'claude_meter_tokens', type: 'counter', help: 'Tokens by model, all time',
+      samples: Object.entries(allTimeTokens.byModel).map(([model, value]) => ({ labels: { model }, value })),
+    },
+    {
+      name: 'claude_meter_day_messages', type: 'gauge', help: `Messages per day (last ${METRICS_DAYS} days)`,
+      samples: recent.map(d => ({ labels: { date: d.date }, value: d.messageCount || 0 })),
+    },
+    {
+      name: 'claude_meter_day_sessions', type: 'gauge', help: `Sessions per day (last ${METRICS_DAYS} days)`,
+      samples: recent.map(d => ({ labels: { date: d.date }, value: d.sessionCount || 0 })),
+    },
+    {
+      name: 'claude_meter_day_tool_calls', type: 'gauge', help: `Tool calls per day (last ${METRICS_DAYS} days)`,
+      samples: recent.map(d => ({ labels: { date: d.date }, value: d.toolCallCount || 0 })),
+    },
+    {
+      name: 'claude_meter_day_tokens', type: 'gauge', help: `Tokens per day and model (last ${METRICS_DAYS} days)`,
+      samples: tokenData
+        .filter(d => recentDates.has(d.date))
+        .flatMap(d => Object.entries(d.tokensByModel || {}).map(([model, value]) => ({ labels: { date: d.date, model }, value }))),
+    },
+    { name: 'claude_meter_today_messages', type: 'gauge', help: 'Messages today (0 until the cache has today)', samples: [{ value: todayEntry?.messageCount || 0 }] },
+    { name: 'claude_meter_streak_days', type: 'gauge', help: 'Current daily streak', samples: [{ value: calculateStreak(activity) }] },
+  ];
+
+  if (goals) {
+    const progress = {
+      daily: todayEntry?.messageCount || 0,
+      weekly: aggregateStats(getLast7Days(activity)).messages,
+    };
+    families.push(
+      {
+        name: 'claude_meter_goal_target_messages', type: 'gauge', help: 'Message goal',
+        samples: ['daily', 'weekly'].map(period => ({ labels: { period }, value: goals[period] })),
+      },
+      {
+        name: 'claude_meter_goal_progress_ratio', type: 'gauge', help: 'Goal progress (1 = reached)',
+        samples: ['daily', 'weekly'].map(period => ({ labels: { period }, value: goals[period] ? progress[period] / goals[period] : 0 })),
+      }
+    );
+  }
+
+  if (quota) {
+    const windows = Object.keys(QUOTA_WINDOWS).filter(key => quota[key]);
+    families.push(
+      {
+        name: 'claude_meter_quota_utilization_ratio', type: 'gauge', help: 'Live quota utilization (1 = limit reached)',
+        samples: windows.map(window => ({ labels: { window }, value: (quota[window].utilization || 0) / 100 })),
+      },
+      {
+        name: 'claude_meter_quota_reset_seconds', type: 'gauge', help: 'Seconds until the quota window resets',
+        samples: windows
+          .filter(window => quota[window].resets_at)
+          .map(window => ({ labels: { window }, value: Math.max(0, Math.round((new Date(quota[window].resets_at) - now) / 1000)) })),
+      }
+    );
+  }
+
+  return families;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatMetrics(families, { openMetrics }) {
+  const lines = [];
+  for (const family of families) {
+    // OpenMetrics names the counter family without _total; Prometheus text format with it
+    const isCounter = family.type === 'counter';
+    const typeName = isCounter && !openMetrics ? `${family.name}_total` : family.name;
+    const sampleName = isCounter ? `${family.name}_total` : family.name;
+
+    lines.push(`# TYPE ${typeName} ${family.type}`);
+    lines.push(`# HELP ${typeName} ${family.help}`);
+    for (const { labels, value } of family.samples) {
+      const labelStr = labels
+        ? `{${Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`
+        : '';
+      lines.push(`${sampleName}${labelStr} ${value}`);
+    }
+  }
+  if (openMetrics) lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+function writeMetricsTextfile(data, quota) {
+  // node_exporter may read at any moment - write to a temp file and rename
+  const tmpFile = `${textfilePath}.${process.pid}.tmp`;
+  writeFileSync(tmpFile, formatMetrics(buildMetrics(data, quota), { openMetrics: false }));
+  renameSync(tmpFile, textfilePath);
+  if (!watchMode) {
+    console.log(`${c.green}✓${c.reset} Metrics written to ${c.cyan}${textfilePath}${c.reset}`);
+  }
+}
+
+async function startMetricsServer() {
+  const http = await import('http');
+  const port = parseInt(servePort);
+  if (!port || port < 1 || port > 65535) {
+    console.error(`${c.red}Error: Invalid port '${servePort || ''}'${c.reset}`);
+    console.log(`${c.dim}Usage: claude-meter --serve <port>${c.reset}`);
+    process.exit(1);
+  }
+
+  // Scrapes can be frequent; don't hit the usage API more than once a minute
+  let cachedQuota = null;
+  let quotaFetchedAt = 0;
+  const getQuota = async () => {
+    const auth = loadAuth();
+    if (auth?.type !== 'oauth') return null;
+    if (Date.now() - quotaFetchedAt > METRICS_QUOTA_TTL) {
+      cachedQuota = await fetchQuota(auth);
+      quotaFetchedAt = Date.now();
+      recordQuota(cachedQuota);
+    }
+    return cachedQuota;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const path = req.url.split('?')[0];
+    if (path === '/metrics') {
+      try {
+        const data = loadStatsData();
+        const body = formatMetrics(buildMetrics(data, await getQuota()), { openMetrics: true });
+        res.writeHead(200, { 'Content-Type': 'application/openmetrics-text; version=1.0.0; charset=utf-8' });
+        res.end(body);
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Error: ${err.message}\n`);
+      }
+    } else if (path === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`claude-meter v${VERSION} - metrics at /metrics\n`);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  });
+
+  server.on('error', (err) => {
+    console.error(`${c.red}Error: ${err.message}${c.reset}`);
+    process.exit(1);
+  });
+
+  // Localhost only - usage data is personal
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`${c.green}✓${c.reset} Serving metrics on ${c.cyan}http://127.0.0.1:${port}/metrics${c.reset}`);
+    console.log(`${c.dim}Ctrl+C to stop${c.reset}`);
+  });
+}
+
+function aggregateTokens(tokenData, dates) {
+  const dateSet = new Set(dates.map(d => d.date));
+  const filtered = tokenData.filter(d => dateSet.has(d.date));
+  const totals = {};
+
+  for (const day of filtered) {
+    for (const [model, tokens] of Object.entries(day.tokensByModel || {})) {
+      totals[model] = (totals[model] || 0) + tokens;
+    }
+  }
+
+  return {
+    total: Object.values(totals).reduce((a, b) => a + b, 0),
+    byModel: totals
+  };
+}
+
+// API list prices in USD per million tokens. Keys are normalized model keys
+// (see parseModelId); lookup falls back from "opus-4.1" to "opus-4" to "opus".
+const DEFAULT_PRICES = {
+  'opus-4.6': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'opus-4.5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'opus-3': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'opus': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'haiku-4.5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'haiku-3.5': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'haiku-3': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+  'haiku': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+};
+
+// "claude-opus-4-5-20251101" -> { family: 'opus', version: '4.5', key: 'opus-4.5' }
+// "claude-3-5-sonnet-20241022" -> { family: 'sonnet', version: '3.5', key: 'sonnet-3.5' }
+function parseModelId(modelId) {
+  const parts = modelId
+    .toLowerCase()
+    .replace(/^claude-/, '')
+    .replace(/-\d{8}$/, '')
+    .split('-');
+  const familyIndex = parts.findIndex(p => ['opus', 'sonnet', 'haiku'].includes(p));
+  if (familyIndex === -1) return { family: null, version: null, key: modelId };
+
+  const isVersionPart = p => /^\d{1,2}$/.test(p);
+  const after = [];
+  for (const p of parts.slice(familyIndex + 1)) {
+    if (!isVersionPart(p)) break;
+    after.push(p);
+  }
+  // Newer IDs put the version after the family, older ones before it
+  const versionParts = after.length ? after : parts.slice(0, familyIndex).filter(isVersionPart);
+
+  const family = parts[familyIndex];
+  const version = versionParts.join('.') || null;
+  return { family, version, key: version ? `${family}-${version}` : family };
+}
+
+function loadPrices() {
+  const prices = { ...DEFAULT_PRICES };
+  for (const [key, price] of Object.entries(config.prices)) {
+    // Fields left out keep their defaults
+    const given = Object.fromEntries(Object.entries(price).filter(([, value]) => value !== undefined));
+    prices[key] = { ...prices[key], ...given };
+  }
+  return prices;
+}
+
+function getModelPrice(modelId, prices) {
+  if (prices[modelId]) return prices[modelId];
+
+  const { family, version } = parseModelId(modelId);
+  if (!family) return null;
+
+  // Most specific first: opus-4.1 -> opus-4 -> opus
+  const versionParts = version ? version.split('.') : [];
+  for (let i = versionParts.length; i > 0; i--) {
+    const key = `${family}-${versionParts.slice(0, i).join('.')}`;
+    if (prices[key]) return prices[key];
+  }
+  return prices[family] || null;
+}
+
+// stats-cache only has one token total per model, so it is priced at the
+// blended rate (input rate unless overridden). Most of those tokens are cache
+// reads at a fraction of that rate, so treat the result as an upper bound.
+function estimateCost(byModel, prices) {
+  const costs = {};
+  const unpriced = [];
+
+  for (const [model, tokens] of Object.entries(byModel)) {
+    const price = getModelPrice(model, prices);
+    if (!price) {
+      unpriced.push(model);
+      continue;
+    }
+    const rate = price.blended ?? price.input;
+    costs[model] = (tokens / 1_000_000) * rate;
+  }
+
+  return {
+    total: Object.values(costs).reduce((a, b) => a + b, 0),
+    byModel: costs,
+    unpriced,
+    upperBound: true,
+  };
+}
+
+function roundCost(cost) {
+  return {
+    total: Math.round(cost.total * 100) / 100,
+    byModel: Object.fromEntries(Object.entries(cost.byModel).map(([m, v]) => [m, Math.round(v * 100) / 100])),
+    unpriced: cost.unpriced,
+    upperBound: cost.upperBound,
+    currency: 'USD',
+  };
+}
+
+function formatCost(usd) {
+  if (usd >= 1_000_000) return `$${(usd / 1_000_000).toFixed(1)}M`;
+  if (usd >= 1_000) return `$${(usd / 1_000).toFixed(1)}K`;
+  if (usd >= 100) return `$${Math.round(usd)}`;
+  return `$${usd.toFixed(2)}`;
+}
+
+// "~$12.40" when priced per token category, "≤$15.10" for an upper bound
+function formatCostEstimate(cost) {
+  return `${cost.upperBound ? '≤' : '~'}${formatCost(cost.total)}`;
+}
+
+// Transcripts - Claude Code writes one JSONL file per session under
+// projects/<encoded-cwd>/, with a line per user message and assistant content block
+function getProjectsDir() {
+  return join(getClaudeConfigDir(), 'projects');
+}
+
+// "/Users/me/code/app" is stored as "-Users-me-code-app"
+function encodeProjectPath(path) {
+  return path.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+// Lossy (dashes in names are ambiguous) - only used when no cwd was recorded
+function decodeProjectDir(name) {
+  const windowsDrive = name.match(/^([A-Za-z])--(.*)$/);
+  if (windowsDrive) return `${windowsDrive[1]}:\\${windowsDrive[2].replace(/-/g, '\\')}`;
+  return name.replace(/-/g, '/');
+}
+
+function listTranscriptFiles(sinceDate = null) {
+  const dir = getProjectsDir();
+  if (!existsSync(dir)) return [];
+
+  // A day of slack: file times are local, transcript dates are UTC
+  const since = sinceDate ? new Date(`${sinceDate}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000 : 0;
+  const files = [];
+
+  for (const project of readdirSync(dir, { withFileTypes: true })) {
+    if (!project.isDirectory()) continue;
+    const projectDir = join(dir, project.name);
+    let names;
+    try { names = readdirSync(projectDir); } catch { continue; }
+
+    for (const name of names) {
+      if (!name.endsWith('.jsonl')) continue;
+      const path = join(projectDir, name);
+      try {
+        const { mtimeMs, size } = statSync(path);
+        if (mtimeMs >= since) files.push({ path, projectKey: project.name, mtimeMs, size });
+      } catch {}
+    }
+  }
+
+  return files;
+}
+
+// Normalizes one transcript line. `seen` dedupes usage and tool blocks, which
+// are repeated on every line of a streamed assistant message.
+function parseTranscriptLine(line, seen) {
+  if (!line || !line.includes('"timestamp"')) return null;
+
+  let entry;
+  try { entry = JSON.parse(line); } catch { return null; }
+  if ((entry.type !== 'user' && entry.type !== 'assistant') || !entry.timestamp) return null;
+
+  const message = entry.message || {};
+  let usage = null;
+  let isMessage = false;
+  const tools = [];
+
+  if (entry.type === 'assistant') {
+    // Only the first line of a streamed message counts as a message
+    const key = message.id || entry.requestId || entry.uuid;
+    isMessage = !seen.messages.has(key);
+    if (message.usage && isMessage) {
+      usage = {
+        input: message.usage.input_tokens || 0,
+        output: message.usage.output_tokens || 0,
+        cacheWrite: message.usage.cache_creation_input_tokens || 0,
+        cacheRead: message.usage.cache_read_input_tokens || 0,
+      };
+    }
+    seen.messages.add(key);
+
+    for (const block of Array.isArray(message.content) ? message.content : []) {
+      if (block.type === 'tool_use' && !seen.tools.has(block.id)) {
+        seen.tools.add(block.id);
+        tools.push(block.name);
+      }
+    }
+  }
+
+  // User entries are either prompts or tool results fed back to the model
+  let prompt = null;
+  if (entry.type === 'user' && !entry.isMeta) {
+    const content = message.content;
+    if (typeof content === 'string') {
+      prompt = content;
+    } else if (Array.isArray(content) && !content.some(b => b.type === 'tool_result')) {
+      prompt = content.filter(b => b.type === 'text').map(b => b.text).join(' ');
+    }
+    isMessage = prompt !== null;
+  }
+
+  return {
+    type: entry.type,
+    isMessage, // a real prompt or a whole assistant reply
+    sessionId: entry.sessionId,
+    timestamp: entry.timestamp,
+    prompt,
+    date: formatDate(new Date(entry.timestamp)),
+    cwd: entry.cwd || null,
+    model: message.model && message.model !== '<synthetic>' ? message.model : null,
+    usage,
+    tools,
+  };
+}
+
+function usageTotal(usage) {
+  return usage ? usage.input + usage.output + usage.cacheWrite + usage.cacheRead : 0;
+}
+
+// Parsed records per transcript file, kept in memory between watch mode
+// renders (and scans within one) - only lines appended since are read
+const transcriptCache = new Map();
+
+function readTranscript(file) {
+  let cached = transcriptCache.get(file.path);
+  if (!cached || file.size < cached.offset) {
+    // New, or truncated and rewritten
+    cached = { offset: 0, seen: { messages: new Set(), tools: new Set() }, records: [] };
+    transcriptCache.set(file.path, cached);
+  }
+  if (file.size === cached.offset) return cached.records;
+
+  const result = readNewLines(file.path, cached.offset);
+  for (const line of result.lines) {
+    const record = parseTranscriptLine(line, cached.seen);
+    if (record) cached.records.push(record);
+  }
+  cached.offset = result.offset;
+  return cached.records;
+}
+
+// Calls onRecord(record, file) for every user/assistant entry inside range
+function scanTranscripts(range, onRecord, files = listTranscriptFiles(range?.from)) {
+  for (const file of files) {
+    let records;
+    try { records = readTranscript(file); } catch { continue; }
+
+    for (const record of records) {
+      if (range && (record.date < range.from || record.date > range.to)) continue;
+      onRecord(record, file);
+    }
+  }
+}
+
+// Live days - Claude Code computes stats-cache.json lazily, so days after
+// lastComputedDate are rebuilt from transcripts. Byte offsets per file are
+// remembered, so repeated renders only parse lines appended since last time.
+const LIVE_CACHE_VERSION = 2; // 2: only prompts and whole replies count as messages
+const LIVE_RECENT_IDS = 200; // streamed duplicates are adjacent; this is plenty
+
+let liveCache = null; // kept in memory between watch mode renders
+
+function loadLiveCache() {
+  if (liveCache) return liveCache;
+  try {
+    if (existsSync(LIVE_CACHE_FILE)) {
+      const cache = JSON.parse(readFileSync(LIVE_CACHE_FILE, 'utf8'));
+      if (cache.version === LIVE_CACHE_VERSION) return cache;
+    }
+  } catch {}
+  return null;
+}
+
+function saveLiveCache(cache) {
+  try {
+    const tmpFile = `${LIVE_CACHE_FILE}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(cache));
+    renameSync(tmpFile, LIVE_CACHE_FILE);
+  } catch {}
+}
+
+// Complete lines appended after `offset`; a partially written last line is left for next time
+function readNewLines(path, offset) {
+  const fd = openSync(path, 'r');
+  try {
+    const { size } = fstatSync(fd);
+    if (size <= offset) return { lines: [], offset, size };
+
+    const buffer = Buffer.alloc(size - offset);
+    readSync(fd, buffer, 0, buffer.length, offset);
+    const end = buffer.lastIndexOf(0x0a);
+    if (end === -1) return { lines: [], offset, size };
+
+    return { lines: buffer.subarray(0, end).toString('utf8').split('\n'), offset: offset + end + 1, size };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function updateLiveDays(lastComputedDate) {
+  const today = formatDate(new Date());
+  let since = today;
+  if (lastComputedDate) {
+    const [y, m, d] = lastComputedDate.split('-').map(Number);
+    since = utcDateStr(y, m - 1, d + 1);
+  }
+
+  // Start over if we'd need days the cache skipped
+  let cache = loadLiveCache();
+  if (!cache || since < cache.since) {
+    cache = { version: LIVE_CACHE_VERSION, since, files: {}, days: {} };
+  }
+
+  // Days now covered by stats-cache.json are no longer needed
+  cache.since = since;
+  for (const date of Object.keys(cache.days)) {
+    if (date < since) delete cache.days[date];
+  }
+
+  let reset = false;
+  for (const file of listTranscriptFiles(since)) {
+    const state = cache.files[file.path] || { offset: 0, messageIds: [], toolIds: [] };
+    if (file.size < state.offset) {
+      reset = true; // truncated or rewritten - counts can't be subtracted
+      break;
+    }
+    if (file.size === state.offset) continue;
+
+    let result;
+    try { result = readNewLines(file.path, state.offset); } catch { continue; }
+
+    const seen = { messages: new Set(state.messageIds), tools: new Set(state.toolIds) };
+    for (const line of result.lines) {
+      const record = parseTranscriptLine(line, seen);
+      if (!record || record.date < since) continue;
+
+      const day = cache.days[record.date] = cache.days[record.date] || { messages: 0, sessions: [], toolCalls: 0, tokensByModel: {} };
+      if (record.isMessage) day.messages++;
+      day.toolCalls += record.tools.length;
+      if (record.sessionId && !day.sessions.includes(record.sessionId)) day.sessions.push(record.sessionId);
+      if (record.usage && record.model) {
+        day.tokensByModel[record.model] = (day.tokensByModel[record.model] || 0) + usageTotal(record.usage);
+      }
+    }
+
+    cache.files[file.path] = {
+      offset: result.offset,
+      messageIds: [...seen.messages].slice(-LIVE_RECENT_IDS),
+      toolIds: [...seen.tools].slice(-LIVE_RECENT_IDS),
+    };
+  }
+
+  if (reset) {
+    liveCache = null;
+    saveLiveCache({ version: LIVE_CACHE_VERSION, since, files: {}, days: {} });
+    return updateLiveDays(lastComputedDate);
+  }
+
+  liveCache = cache;
+  saveLiveCache(cache);
+  return cache;
+}
+
+// Adds live days the stats cache doesn't have yet (flagged with live: true)
+function mergeLiveDays(data, cache) {
+  if (!cache) return data;
+
+  const activity = [...(data.dailyActivity || [])];
+  const tokenData = [...(data.dailyModelTokens || [])];
+  const known = new Set(activity.map(d => d.date));
+
+  for (const [date, day] of Object.entries(cache.days).sort(([a], [b]) => a.localeCompare(b))) {
+    if (known.has(date) || date < cache.since) continue;
+    activity.push({ date, messageCount: day.messages, sessionCount: day.sessions.length, toolCallCount: day.toolCalls, live: true });
+    tokenData.push({ date, tokensByModel: day.tokensByModel, live: true });
+  }
+
+  return { ...data, dailyActivity: activity, dailyModelTokens: tokenData };
+}
+
+// Claude Code may be mid-write, or the file damaged - the archive still has every day
+function readStatsCache() {
+  if (!existsSync(STATS_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(STATS_FILE, 'utf8'));
+  } catch (err) {
+    const archive = archiveEnabled && loadArchive();
+    const dates = archive ? Object.keys(archive.days).sort() : [];
+    if (!dates.length) throw err;
+    console.error(`${c.yellow}Warning: Can't read ${STATS_FILE} (${err.message}) - using the archive up to ${dates[dates.length - 1]}${c.reset}`);
+    return { lastComputedDate: dates[dates.length - 1] };
+  }
+}
+
+function loadStatsData() {
+  const data = updateArchive(readStatsCache());
+  if (noLive) return data;
+
+  try {
+    return mergeLiveDays(data, updateLiveDays(data.lastComputedDate));
+  } catch {
+    return data;
+  }
+}
+
+// Archive - every day ever seen in stats-cache.json, kept in one file, so history
+// survives Claude Code pruning or recomputing its cache, or a reinstall. Days from
+// the cache are merged in on every run; live days are partial and never archived.
+const ARCHIVE_VERSION = 1;
+
+// Missing file is an empty archive; an unreadable one is null and never overwritten
+function loadArchive() {
+  if (!existsSync(ARCHIVE_FILE)) return { version: ARCHIVE_VERSION, days: {} };
+  try {
+    const archive = JSON.parse(readFileSync(ARCHIVE_FILE, 'utf8'));
+    if (archive.version === ARCHIVE_VERSION && archive.days && typeof archive.days === 'object') return archive;
+  } catch {}
+  return null;
+}
+
+function saveArchive(archive) {
+  archive.updated = new Date().toISOString();
+  const tmpFile = `${ARCHIVE_FILE}.${process.pid}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(archive));
+  renameSync(tmpFile, ARCHIVE_FILE);
+}
+
+function sameArchiveDay(a, b) {
+  return JSON.stringify({ ...a, seenAt: null }) === JSON.stringify({ ...b, seenAt: null });
+}
+
+// seenAt is when the snapshot was taken - the stats cache's mtime, or an export's date
+function mergeArchiveDay(old, day, tokensByModel, seenAt) {
+  const next = {
+    messageCount: day.messageCount || 0,
+    sessionCount: day.sessionCount || 0,
+    toolCallCount: day.toolCallCount || 0,
+    tokensByModel: tokensByModel || {},
+    seenAt,
+  };
+  if (!old) return next;
+
+  let merged;
+  if (config.archive.merge === 'latest') {
+    merged = seenAt >= old.seenAt ? next : old;
+  } else {
+    // max - each count, and each model's tokens, on its own
+    merged = {
+      messageCount: Math.max(old.messageCount, next.messageCount),
+      sessionCount: Math.max(old.sessionCount, next.sessionCount),
+      toolCallCount: Math.max(old.toolCallCount, next.toolCallCount),
+      tokensByModel: { ...old.tokensByModel },
+      seenAt: seenAt > old.seenAt ? seenAt : old.seenAt,
+    };
+    for (const [model, tokens] of Object.entries(next.tokensByModel)) {
+      merged.tokensByModel[model] = Math.max(merged.tokensByModel[model] || 0, tokens);
+    }
+  }
+  return sameArchiveDay(old, merged) ? old : merged;
+}
+
+// Returns the number of days added or changed
+function mergeIntoArchive(archive, data, seenAt) {
+  const tokensByDate = new Map((data.dailyModelTokens || []).filter(d => !d.live).map(d => [d.date, d.tokensByModel]));
+  let changed = 0;
+  for (const day of data.dailyActivity || []) {
+    if (day.live) continue;
+    const old = archive.days[day.date];
+    const next = mergeArchiveDay(old, day, tokensByDate.get(day.date), seenAt);
+    if (next !== old) {
+      archive.days[day.date] = next;
+      changed++;
+    }
+  }
+  return changed;
+}
+
+// Archived days replace the cache's own entries - they already include them
+function mergeArchiveDays(data, archive) {
+  const activity = (data.dailyActivity || []).filter(d => !archive.days[d.date]);
+  const tokenData = (data.dailyModelTokens || []).filter(d => !archive.days[d.date]);
+
+  for (const [date, day] of Object.entries(archive.days)) {
+    activity.push({ date, messageCount: day.messageCount, sessionCount: day.sessionCount, toolCallCount: day.toolCallCount });
+    tokenData.push({ date, tokensByModel: day.tokensByModel });
+  }
+
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  return { ...data, dailyActivity: activity.sort(byDate), dailyModelTokens: tokenData.sort(byDate) };
+}
+
+function updateArchive(data) {
+  if (!archiveEnabled) return data;
+  const archive = loadArchive();
+  if (!archive) return data;
+
+  if (existsSync(STATS_FILE) && mergeIntoArchive(archive, data, statSync(STATS_FILE).mtime.toISOString())) {
+    try { saveArchive(archive); } catch {}
+  }
+  return mergeArchiveDays(data, archive);
+}
+
+// --import: old exports (or copies of stats-cache.json) into the archive
+function importArchive() {
+  if (!importArg || importArg.startsWith('-')) {
+    console.error(`${c.red}Error: --import needs a file or folder${c.reset}`);
+    console.log(`${c.dim}Usage: claude-meter --import <export.json|folder>${c.reset}`);
+    process.exit(1);
+  }
+  if (!archiveEnabled) {
+    console.error(`${c.red}Error: The archive is turned off${noArchive ? ' (--no-archive)' : ` (archive.enabled in ${CONFIG_FILE})`}${c.reset}`);
+    process.exit(1);
+  }
+  const archive = loadArchive();
+  if (!archive) {
+    console.error(`${c.red}Error: Can't read ${ARCHIVE_FILE}${c.reset}`);
+    console.log(`${c.dim}Fix or move it first - it's never overwritten while unreadable${c.reset}`);
+    process.exit(1);
+  }
+
+  const { files, skipped } = listJSONFiles([importArg]);
+  const user = getExportUser();
+  let imported = 0;
+  let changed = 0;
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (err) {
+      skipped.push({ file, error: err instanceof SyntaxError ? 'not valid JSON' : err.message });
+      continue;
+    }
+    const error = validateDailyData(data);
+    if (error) {
+      skipped.push({ file, error });
+      continue;
+    }
+    // Someone else's days would be merged into yours as if you'd had them
+    if (data.user && data.user !== user && !forceImport) {
+      skipped.push({ file, error: `exported by ${data.user}, not ${user} (use --force to import it anyway)` });
+      continue;
+    }
+
+    const seenAt = isNaN(Date.parse(data.exported)) ? statSync(file).mtime.toISOString() : new Date(data.exported).toISOString();
+    const days = mergeIntoArchive(archive, data, seenAt);
+    const by = data.user && data.user !== user ? ` ${c.yellow}(exported by ${data.user})${c.reset}` : '';
+    console.log(`${c.green}✓${c.reset} ${file} ${c.dim}· ${days} day${days === 1 ? '' : 's'} added or updated${c.reset}${by}`);
+    imported++;
+    changed += days;
+  }
+
+  for (const s of skipped) console.error(`${c.yellow}Warning: Skipped ${s.file}: ${s.error}${c.reset}`);
+  if (changed) saveArchive(archive);
+  if (!imported) process.exit(1);
+
+  const dates = Object.keys(archive.days).sort();
+  if (dates.length) {
+    console.log(`${c.dim}Archive: ${dates.length} days since ${dates[0]} (${ARCHIVE_FILE})${c.reset}`);
+  }
+}
+
+function aggregateProjects(range) {
+  const projects = {};
+
+  scanTranscripts(range, (record, file) => {
+    const project = projects[file.projectKey] = projects[file.projectKey] || {
+      key: file.projectKey,
+      path: null,
+      messages: 0,
+      sessions: new Set(),
+      toolCalls: 0,
+      tokens: 0,
+      tokensByModel: {},
+      lastActive: null,
+    };
+
+    // Prefer a recorded cwd that maps back to this directory exactly
+    if (!project.path && record.cwd && encodeProjectPath(record.cwd) === file.projectKey) {
+      project.path = record.cwd;
+    }
+
+    if (record.isMessage) project.messages++;
+    if (record.sessionId) project.sessions.add(record.sessionId);
+    project.toolCalls += record.tools.length;
+    if (record.usage) {
+      const total = usageTotal(record.usage);
+      project.tokens += total;
+      if (record.model) project.tokensByModel[record.model] = (project.tokensByModel[record.model] || 0) + total;
+    }
+    if (!project.lastActive || record.timestamp > project.lastActive) project.lastActive = record.timestamp;
+  });
+
+  return Object.values(projects)
+    .map(p => ({ ...p, path: p.path || decodeProjectDir(p.key), sessions: p.sessions.size }))
+    .sort((a, b) => b.messages - a.messages);
+}
+
+function shortenPath(path) {
+  const home = homedir();
+  return path.startsWith(home) ? `~${path.slice(home.length)}` : path;
+}
+
+function printProjects() {
+  const range = getActiveRange(new Date());
+  const projects = aggregateProjects(range);
+  const label = range ? range.label : 'All Time';
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      period: range ? { from: range.from, to: range.to } : 'all',
+      generated: new Date().toISOString(),
+      projects: projects.map(({ key, ...p }) => p),
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${c.bold}Projects${c.reset} ${c.dim}(${label})${c.reset}`);
+  if (!projects.length) {
+    console.log(`${c.dim}No transcripts found in ${getProjectsDir()}${c.reset}`);
+    return;
+  }
+
+  const maxMsgs = projects[0].messages;
+  const nameWidth = Math.min(36, Math.max(...projects.map(p => shortenPath(p.path).length)));
+  console.log(`${c.bold}     ${pad('Project', nameWidth)}  ${pad('', 16)}${'Msgs'.padStart(7)}${'Sess'.padStart(6)}${'Tools'.padStart(7)}${'Tokens'.padStart(8)}${c.reset}`);
+
+  projects.slice(0, 20).forEach((p, i) => {
+    let name = shortenPath(p.path);
+    if (name.length > nameWidth) name = `…${name.slice(-(nameWidth - 1))}`;
+    const bar = makeGradientBar(p.messages, maxMsgs, 16);
+    console.log(
+      `${c.dim}${String(i + 1).padStart(3)}${c.reset}  ${pad(name, nameWidth)}  ${bar}` +
+      `${c.yellow}${formatNumber(p.messages).padStart(7)}${c.reset}` +
+      `${c.dim}${String(p.sessions).padStart(6)}${formatNumber(p.toolCalls).padStart(7)}${c.reset}` +
+      `${c.magenta}${formatTokens(p.tokens).padStart(8)}${c.reset}`
+    );
+  });
+
+  if (projects.length > 20) {
+    console.log(`${c.dim}     …and ${projects.length - 20} more${c.reset}`);
+  }
+}
+
+// Claude Code's built-in tools, used to list the ones that never show up
+const BUILTIN_TOOLS = [
+  'Bash', 'BashOutput', 'Edit', 'ExitPlanMode', 'Glob', 'Grep', 'KillShell', 'LS', 'MultiEdit',
+  'NotebookEdit', 'Read', 'SlashCommand', 'Task', 'TodoWrite', 'WebFetch', 'WebSearch', 'Write',
+];
+
+// "mcp__github__create_pr" -> { server: 'github', tool: 'create_pr' }
+function parseToolName(name) {
+  const match = name.match(/^mcp__(.+?)__(.+)$/);
+  return match ? { server: match[1], tool: match[2] } : { server: null, tool: name };
+}
+
+// MCP servers configured for Claude Code (global and per project)
+function getConfiguredMcpServers() {
+  const servers = new Set();
+  try {
+    // With a custom config dir, Claude Code keeps .claude.json inside it
+    const file = CLAUDE_DIR === join(homedir(), '.claude') ? join(homedir(), '.claude.json') : join(CLAUDE_DIR, '.claude.json');
+    const settings = JSON.parse(readFileSync(file, 'utf8'));
+    for (const name of Object.keys(settings.mcpServers || {})) servers.add(name);
+    for (const project of Object.values(settings.projects || {})) {
+      for (const name of Object.keys(project.mcpServers || {})) servers.add(name);
+    }
+  } catch {}
+  return [...servers];
+}
+
+function summarizeTools(counts) {
+  const tools = {};
+  const mcpServers = {};
+  let total = 0;
+
+  for (const [name, count] of Object.entries(counts)) {
+    total += count;
+    const { server, tool } = parseToolName(name);
+    if (server) {
+      mcpServers[server] = mcpServers[server] || { total: 0, tools: {} };
+      mcpServers[server].total += count;
+      mcpServers[server].tools[tool] = count;
+    } else {
+      tools[name] = count;
+    }
+  }
+
+  return { total, tools, mcpServers };
+}
+
+// One scan covering the widest period (a period without `from` means all time)
+function scanPeriods(periods, onRecord) {
+  const from = periods.some(p => !p.from) ? null : periods.map(p => p.from).sort()[0];
+
+  scanTranscripts(from ? { from, to: '9999-12-31' } : null, (record, file) => {
+    periods.forEach((period, i) => {
+      if (period.from && (record.date < period.from || record.date > period.to)) return;
+      onRecord(i, record, file);
+    });
+  });
+}
+
+function aggregateTools(periods) {
+  const counts = periods.map(() => ({}));
+  scanPeriods(periods, (i, record) => {
+    for (const tool of record.tools) counts[i][tool] = (counts[i][tool] || 0) + 1;
+  });
+  return counts.map(summarizeTools);
+}
+
+// Token split - transcripts carry input, output and both cache counts per request
+const TOKEN_CATEGORIES = [
+  ['input', 'input'],
+  ['output', 'output'],
+  ['cacheWrite', 'cache wr'],
+  ['cacheRead', 'cache rd'],
+];
+
+function emptyTokenSplit() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+}
+
+// Share of prompt tokens served from cache
+function getCacheHitRatio(split) {
+  const prompt = split.input + split.cacheWrite + split.cacheRead;
+  return prompt > 0 ? split.cacheRead / prompt : 0;
+}
+
+function aggregateTokenSplit(periods) {
+  const results = periods.map(() => ({ byModel: {}, totals: emptyTokenSplit() }));
+
+  scanPeriods(periods, (i, record) => {
+    if (!record.usage) return;
+    const model = record.model || 'unknown';
+    const byModel = results[i].byModel[model] = results[i].byModel[model] || emptyTokenSplit();
+    for (const [key] of TOKEN_CATEGORIES) {
+      byModel[key] += record.usage[key];
+      results[i].totals[key] += record.usage[key];
+    }
+  });
+
+  return results.map(r => ({
+    ...r,
+    total: usageTotal(r.totals),
+    cacheHitRatio: getCacheHitRatio(r.totals),
+  }));
+}
+
+// Same as estimateCost, but each category at its own rate
+function estimateSplitCost(byModel, prices) {
+  const costs = {};
+  const unpriced = [];
+
+  for (const [model, split] of Object.entries(byModel)) {
+    const price = getModelPrice(model, prices);
+    if (!price) {
+      unpriced.push(model);
+      continue;
+    }
+    costs[model] = TOKEN_CATEGORIES.reduce((sum, [key]) => sum + (split[key] / 1_000_000) * (price[key] ?? price.input), 0);
+  }
+
+  return {
+    total: Object.values(costs).reduce((a, b) => a + b, 0),
+    byModel: costs,
+    unpriced,
+    upperBound: false,
+  };
+}
+
+// Returns cost(days) for sets of stats-cache days. Days the transcripts still
+// cover are priced per token category; if any active day predates them (Claude
+// Code prunes old transcripts), the whole set falls back to estimateCost.
+// Transcripts are only read for the days being priced.
+function createCostEstimator(tokenData, prices) {
+  let first; // oldest transcript day, looked up on first use
+
+  return (days) => {
+    const dates = days.filter(d => d.messageCount > 0).map(d => d.date).sort();
+    if (!dates.length) return estimateSplitCost({}, prices);
+
+    if (first === undefined) first = getFirstTranscriptDate();
+    if (!first || dates[0] < first) {
+      return estimateCost(aggregateTokens(tokenData, days).byModel, prices);
+    }
+
+    const wanted = new Set(dates);
+    const byModel = {};
+    scanTranscripts({ from: dates[0], to: dates[dates.length - 1] }, (record) => {
+      if (!record.usage || !wanted.has(record.date)) return;
+      const split = byModel[record.model || 'unknown'] = byModel[record.model || 'unknown'] || emptyTokenSplit();
+      for (const [key] of TOKEN_CATEGORIES) split[key] += record.usage[key];
+    });
+    return estimateSplitCost(byModel, prices);
+  };
+}
+
+// Day of the oldest transcript entry on disk. Claude Code deletes whole session
+// files once they age out, so the start of each file is enough.
+function getFirstTranscriptDate() {
+  let first = null;
+  for (const file of listTranscriptFiles()) {
+    let date;
+    try { date = readTranscriptStartDate(file.path); } catch { continue; }
+    if (date && (!first || date < first)) first = date;
+  }
+  return first;
+}
+
+function readTranscriptStartDate(path) {
+  const fd = openSync(path, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const length = readSync(fd, buffer, 0, buffer.length, 0);
+    const seen = { messages: new Set(), tools: new Set() };
+    for (const line of buffer.subarray(0, length).toString('utf8').split('\n')) {
+      const record = parseTranscriptLine(line, seen);
+      if (record) return record.date;
+    }
+    return null;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Dashboard periods as date bounds, or just the active filter
+function getStandardPeriods(now) {
+  const range = getActiveRange(now);
+  if (range) return [{ key: 'selected', label: range.label, from: range.from, to: range.to }];
+
+  const today = formatDate(now);
+  const [y, m, d] = today.split('-').map(Number);
+  return [
+    { key: 'today', label: 'Today', from: today, to: today },
+    { key: 'last7Days', label: 'Last 7d', from: utcDateStr(y, m - 1, d - 6), to: today },
+    { key: 'thisMonth', label: now.toLocaleString('default', { month: 'short' }), from: utcDateStr(y, m - 1, 1), to: today },
+    { key: 'allTime', label: 'All Time', from: null, to: null },
+  ];
+}
+
+function printTools() {
+  const now = new Date();
+  const periods = getStandardPeriods(now);
+  const summaries = aggregateTools(periods);
+  const main = summaries[summaries.length - 1];
+
+  const usedServers = new Set(Object.keys(main.mcpServers));
+  const neverUsed = [
+    ...BUILTIN_TOOLS.filter(t => !main.tools[t]),
+    ...getConfiguredMcpServers().filter(s => !usedServers.has(s)).map(s => `mcp:${s}`),
+  ];
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      generated: now.toISOString(),
+      periods: Object.fromEntries(periods.map((p, i) => [p.key, { from: p.from, to: p.to, ...summaries[i] }])),
+      neverUsed,
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${c.bold}Tools${c.reset} ${c.dim}(bars: ${periods[periods.length - 1].label})${c.reset}`);
+  if (!main.total) {
+    console.log(`${c.dim}No tool calls found in ${getProjectsDir()}${c.reset}`);
+    return;
+  }
+
+  // Built-in tools and MCP servers ranked together; servers expand into their tools
+  const rows = [
+    ...Object.entries(main.tools).map(([name, count]) => ({ name, count, key: name })),
+    ...Object.entries(main.mcpServers).map(([server, s]) => ({ name: `mcp:${server}`, count: s.total, server })),
+  ].sort((a, b) => b.count - a.count);
+
+  const cell = (n) => pad(n ? formatNumber(n) : '-', 9);
+  const countFor = (summary, row) => row.server ? summary.mcpServers[row.server]?.total : summary.tools[row.key];
+  console.log(`${c.bold}${pad('', 18)}${periods.map(p => pad(p.label, 9)).join('')}${c.reset}`);
+
+  for (const row of rows) {
+    const share = `${Math.round((row.count / main.total) * 100)}%`.padStart(4);
+    const bar = makeGradientBar(row.count, rows[0].count, 20);
+    console.log(`${row.server ? c.cyan : ''}${pad(row.name, 18)}${c.reset}${c.dim}${periods.map((p, i) => cell(countFor(summaries[i], row))).join('')}${c.reset}${bar} ${share}`);
+
+    if (row.server) {
+      const tools = Object.entries(main.mcpServers[row.server].tools).sort((a, b) => b[1] - a[1]);
+      for (const [tool] of tools) {
+        const counts = periods.map((p, i) => cell(summaries[i].mcpServers[row.server]?.tools[tool])).join('');
+        console.log(`${c.dim}  ${pad(tool.length > 15 ? `${tool.slice(0, 14)}…` : tool, 16)}${counts}${c.reset}`);
+      }
+    }
+  }
+
+  console.log();
+  console.log(`${c.dim}Total: ${formatNumber(main.total)} calls${neverUsed.length ? ` · Never used: ${neverUsed.join(', ')}` : ''}${c.reset}`);
+}
+
+// Punch card - messages by local weekday and hour. Transcripts have exact
+// timestamps; the stats cache only has hourCounts, so that fallback is one row.
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const QUOTA_WINDOW_HOURS = 5;
+
+function aggregatePunchcard(range) {
+  const grid = WEEKDAYS.map(() => new Array(24).fill(0));
+  let total = 0;
+
+  scanTranscripts(range, (record) => {
+    if (!record.isMessage) return;
+    const time = new Date(record.timestamp);
+    grid[(time.getDay() + 6) % 7][time.getHours()]++;
+    total++;
+  });
+
+  return { grid, total };
+}
+
+function hourCountsRow(hourCounts) {
+  const row = new Array(24).fill(0);
+  for (const [hour, count] of Object.entries(hourCounts || {})) {
+    if (row[hour] !== undefined) row[hour] = count;
+  }
+  return row;
+}
+
+// Busiest hours and the busiest run of QUOTA_WINDOW_HOURS (wrapping past midnight)
+function getPeakHours(hours) {
+  const total = hours.reduce((a, b) => a + b, 0);
+  const top = hours
+    .map((count, hour) => ({ hour, count }))
+    .filter(h => h.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 3);
+
+  let window = null;
+  for (let start = 0; start < 24; start++) {
+    let count = 0;
+    for (let h = 0; h < QUOTA_WINDOW_HOURS; h++) count += hours[(start + h) % 24];
+    if (count > 0 && (!window || count > window.count)) window = { start, end: (start + QUOTA_WINDOW_HOURS) % 24, count };
+  }
+  if (window) window.share = window.count / total;
+
+  return { top, window };
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function printPunchcard(data) {
+  const range = getActiveRange(new Date());
+  let { grid, total } = aggregatePunchcard(range);
+  let source = 'transcripts';
+
+  if (!total && data.hourCounts && !range) {
+    grid = [hourCountsRow(data.hourCounts)];
+    total = grid[0].reduce((a, b) => a + b, 0);
+    source = 'stats cache';
+  }
+
+  const labels = grid.length === 1 ? ['All'] : WEEKDAYS;
+  const hours = new Array(24).fill(0).map((_, h) => grid.reduce((sum, row) => sum + row[h], 0));
+  const days = grid.map(row => row.reduce((a, b) => a + b, 0));
+  const peaks = getPeakHours(hours);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      generated: new Date().toISOString(),
+      source,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      total,
+      grid: Object.fromEntries(labels.map((label, i) => [label, grid[i]])),
+      byHour: hours,
+      peakHours: peaks.top.map(h => h.hour),
+      busiestWindow: peaks.window && { start: peaks.window.start, end: peaks.window.end, messages: peaks.window.count },
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${c.bold}Punch Card${c.reset} ${c.dim}(${range ? range.label : 'All Time'} · ${source}, local time)${c.reset}`);
+  if (!total) {
+    console.log(`${c.dim}No transcripts found in ${getProjectsDir()}${c.reset}`);
+    return;
+  }
+
+  const max = Math.max(...grid.flat(), 1);
+  const maxDay = Math.max(...days, 1);
+  let axis = '';
+  for (let h = 0; h < 24; h += 3) axis += String(h).padEnd(6);
+  console.log(`${c.dim}     ${axis}${c.reset}`);
 
-function cleanup() {
-  process.stdout.write(c.showCursor);
-  process.stdout.write('\n');
-  console.log(`${c.dim}Goodbye!${c.reset}`);
-  process.exit(0);
-}
+  grid.forEach((row, i) => {
+    const cells = row.map(count => count ? `${getHeatColor(count / max)}██${c.reset}` : `${c.dim}· ${c.reset}`).join('');
+    const share = `${Math.round((days[i] / total) * 100)}%`.padStart(4);
+    console.log(`${pad(labels[i], 5)}${cells} ${getHeatColor(days[i] / maxDay)}${formatNumber(days[i]).padStart(6)}${c.reset} ${c.dim}${share}${c.reset}`);
+  });
 
-async function render() {
-  try {
-    const data = JSON.parse(readFileSync(STATS_FILE, 'utf8'));
-    const auth = loadAuth();
-    const quota = auth?.type === 'oauth' ? await fetchQuota(auth) : null;
+  console.log(`${c.dim}     less ${['· ', 0.1, 0.3, 0.5, 0.7, 0.9].map(v => typeof v === 'string' ? v : `${getHeatColor(v)}██${c.dim}`).join('')} more${c.reset}`);
+  console.log();
 
-    if (jsonOutput) {
-      printJSON(data);
-    } else if (compactOutput) {
-      printCompact(data);
-    } else if (exportFile) {
-      exportStats(data);
-    } else {
-      if (watchMode) process.stdout.write(c.clear);
-      printStats(data, quota);
-    }
-  } catch (err) {
-    console.error(`${c.red}Error: ${err.message}${c.reset}`);
-    if (!watchMode) process.exit(1);
+  const topHours = peaks.top.map(h => `${formatHour(h.hour)} ${c.dim}(${formatNumber(h.count)})${c.reset}`).join(', ');
+  console.log(`Peak hours    ${topHours}`);
+  if (grid.length > 1) {
+    const busiest = days.indexOf(Math.max(...days));
+    console.log(`Busiest day   ${WEEKDAYS[busiest]} ${c.dim}(${Math.round((days[busiest] / total) * 100)}% of messages)${c.reset}`);
+  }
+  if (peaks.window) {
+    console.log(`Busiest ${QUOTA_WINDOW_HOURS}h    ${formatHour(peaks.window.start)}-${formatHour(peaks.window.end)} ${c.dim}(${Math.round(peaks.window.share * 100)}% of messages, like one quota window)${c.reset}`);
   }
 }
 
-function printJSON(data) {
-  const activity = data.dailyActivity || [];
-  const now = new Date();
+function aggregateSessions(range) {
+  const sessions = {};
+
+  scanTranscripts(range, (record, file) => {
+    const id = record.sessionId || file.path;
+    const session = sessions[id] = sessions[id] || {
+      id,
+      path: null,
+      projectKey: file.projectKey,
+      start: record.timestamp,
+      end: record.timestamp,
+      models: new Set(),
+      messages: 0,
+      prompts: 0,
+      toolCalls: 0,
+      tokens: 0,
+    };
 
-  let filtered = activity;
-  if (filterToday) {
-    const todayStr = formatDate(now);
-    filtered = activity.filter(d => d.date === todayStr);
-  } else if (filterWeek) {
-    filtered = getLast7Days(activity);
-  } else if (filterMonth) {
-    filtered = getThisMonth(activity, now);
-  }
+    if (!session.path && record.cwd) session.path = record.cwd;
+    if (record.timestamp < session.start) session.start = record.timestamp;
+    if (record.timestamp > session.end) session.end = record.timestamp;
+    if (record.model) session.models.add(record.model);
+    if (record.prompt !== null) session.prompts++;
+    if (record.isMessage) session.messages++;
+    session.toolCalls += record.tools.length;
+    session.tokens += usageTotal(record.usage);
+  });
 
-  const stats = aggregateStats(filtered);
-  const output = {
-    period: filterToday ? 'today' : filterWeek ? 'week' : filterMonth ? 'month' : 'all',
-    generated: now.toISOString(),
-    stats: {
-      messages: stats.messages,
-      sessions: stats.sessions,
-      toolCalls: stats.toolCalls,
-      activeDays: stats.activeDays,
-    },
-    dailyActivity: filtered,
-  };
+  return Object.values(sessions)
+    .map(s => ({
+      ...s,
+      path: s.path || decodeProjectDir(s.projectKey),
+      duration: new Date(s.end) - new Date(s.start),
+      models: [...new Set([...s.models].map(formatModelName))],
+    }))
+    .sort((a, b) => b.start.localeCompare(a.start));
+}
 
-  console.log(JSON.stringify(output, null, 2));
+function formatSessionTime(iso) {
+  return new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
 }
 
-function printCompact(data) {
-  const activity = data.dailyActivity || [];
-  const now = new Date();
-  const todayStr = formatDate(now);
-  const todayData = activity.find(d => d.date === todayStr) || { messageCount: 0 };
-  const last7Stats = aggregateStats(getLast7Days(activity));
-  const allTime = aggregateStats(activity);
-  const streak = calculateStreak(activity);
+function printSessions() {
+  const range = getActiveRange(new Date());
+  const sessions = aggregateSessions(range).slice(0, sessionsLimit);
 
-  const parts = [
-    `${c.bold}Today:${c.reset} ${formatNumber(todayData.messageCount)}`,
-    `${c.bold}7d:${c.reset} ${formatNumber(last7Stats.messages)}`,
-    `${c.bold}All:${c.reset} ${formatNumber(allTime.messages)}`,
-  ];
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      generated: new Date().toISOString(),
+      sessions: sessions.map(({ projectKey, ...s }) => ({ ...s, duration: Math.round(s.duration / 1000) })),
+    }, null, 2));
+    return;
+  }
 
-  if (streak > 1) {
-    parts.push(`${c.brightYellow}🔥${streak}${c.reset}`);
+  console.log(`${c.bold}Recent Sessions${c.reset} ${c.dim}(${range ? range.label : `last ${sessionsLimit}`})${c.reset}`);
+  if (!sessions.length) {
+    console.log(`${c.dim}No transcripts found in ${getProjectsDir()}${c.reset}`);
+    return;
   }
 
-  console.log(parts.join(' │ '));
-}
+  console.log(`${c.bold}${pad('Started', 14)}${pad('Length', 8)}${pad('Session', 10)}${pad('Project', 24)}${pad('Models', 22)}${'Msgs'.padStart(6)}${'Tools'.padStart(7)}${'Tokens'.padStart(8)}${c.reset}`);
+  const maxTokens = Math.max(...sessions.map(s => s.tokens), 1);
 
-function exportStats(data) {
-  const activity = data.dailyActivity || [];
-  const now = new Date();
+  for (const s of sessions) {
+    let project = shortenPath(s.path).split(/[\\/]/).filter(Boolean).pop() || s.path;
+    if (project.length > 22) project = `${project.slice(0, 21)}…`;
+    let models = s.models.join(', ') || '-';
+    if (models.length > 20) models = `${models.slice(0, 19)}…`;
+    // Highlight the heavy hitters - the runaway session is usually obvious
+    const tokenColor = getHeatColor(s.tokens / maxTokens);
 
-  const output = {
-    exported: now.toISOString(),
-    stats: {
-      today: aggregateStats([activity.find(d => d.date === formatDate(now)) || {}]),
-      last7Days: aggregateStats(getLast7Days(activity)),
-      thisMonth: aggregateStats(getThisMonth(activity, now)),
-      allTime: aggregateStats(activity),
-    },
-    streak: calculateStreak(activity),
-    dailyActivity: activity,
-  };
+    console.log(
+      `${c.dim}${pad(formatSessionTime(s.start), 14)}${c.reset}` +
+      `${pad(formatDuration(s.duration), 8)}` +
+      `${c.cyan}${pad(s.id.slice(0, 8), 10)}${c.reset}` +
+      `${pad(project, 24)}` +
+      `${c.dim}${pad(models, 22)}${c.reset}` +
+      `${c.yellow}${formatNumber(s.messages).padStart(6)}${c.reset}` +
+      `${c.dim}${formatNumber(s.toolCalls).padStart(7)}${c.reset}` +
+      `${tokenColor}${formatTokens(s.tokens).padStart(8)}${c.reset}`
+    );
+  }
 
-  writeFileSync(exportFile, JSON.stringify(output, null, 2));
-  console.log(`${c.green}✓${c.reset} Stats exported to ${c.cyan}${exportFile}${c.reset}`);
+  console.log(`${c.dim}Details: claude-meter --session <id>${c.reset}`);
 }
 
-function aggregateTokens(tokenData, dates) {
-  const dateSet = new Set(dates.map(d => d.date));
-  const filtered = tokenData.filter(d => dateSet.has(d.date));
-  const totals = {};
+function printSessionDetail(idPrefix) {
+  // Transcript files are named after the session, so try that first
+  const files = listTranscriptFiles();
+  const named = files.filter(f => f.path.split(/[\\/]/).pop().startsWith(idPrefix));
+  const records = [];
+  let projectKey = null;
+
+  scanTranscripts(null, (record, file) => {
+    if (record.sessionId && !record.sessionId.startsWith(idPrefix)) return;
+    records.push(record);
+    projectKey = projectKey || file.projectKey;
+  }, named.length ? named : files);
+
+  const ids = [...new Set(records.map(r => r.sessionId))];
+  if (!records.length) {
+    console.error(`${c.red}Error: No session matching '${idPrefix}'${c.reset}`);
+    process.exit(1);
+  }
+  if (ids.length > 1) {
+    console.error(`${c.red}Error: '${idPrefix}' matches ${ids.length} sessions${c.reset}`);
+    console.log(`${c.dim}${ids.slice(0, 10).join('\n')}${c.reset}`);
+    process.exit(1);
+  }
 
-  for (const day of filtered) {
-    for (const [model, tokens] of Object.entries(day.tokensByModel || {})) {
-      totals[model] = (totals[model] || 0) + tokens;
+  records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  // A turn starts with a prompt and collects everything until the next one
+  const turns = [];
+  for (const record of records) {
+    if (record.prompt !== null || !turns.length) {
+      turns.push({ start: record.timestamp, end: record.timestamp, prompt: record.prompt || '', models: new Set(), tools: [], tokens: 0, messages: 0 });
     }
+    const turn = turns[turns.length - 1];
+    turn.end = record.timestamp;
+    if (record.isMessage) turn.messages++;
+    turn.tools.push(...record.tools);
+    turn.tokens += usageTotal(record.usage);
+    if (record.model) turn.models.add(formatModelName(record.model));
   }
 
-  return {
-    total: Object.values(totals).reduce((a, b) => a + b, 0),
-    byModel: totals
-  };
+  const start = records[0].timestamp;
+  const end = records[records.length - 1].timestamp;
+  const path = records.find(r => r.cwd)?.cwd || decodeProjectDir(projectKey);
+  const totalTokens = turns.reduce((sum, t) => sum + t.tokens, 0);
+  const totalTools = turns.reduce((sum, t) => sum + t.tools.length, 0);
+  const totalMessages = turns.reduce((sum, t) => sum + t.messages, 0);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      id: ids[0],
+      path,
+      start,
+      end,
+      duration: Math.round((new Date(end) - new Date(start)) / 1000),
+      messages: totalMessages,
+      toolCalls: totalTools,
+      tokens: totalTokens,
+      turns: turns.map(t => ({ ...t, models: [...t.models] })),
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${c.bold}Session${c.reset} ${c.cyan}${ids[0]}${c.reset}`);
+  console.log(`${c.dim}${shortenPath(path)}${c.reset}`);
+  console.log(`${formatSessionTime(start)} · ${formatDuration(new Date(end) - new Date(start))} · ${turns.length} turns · ${c.yellow}${formatNumber(totalMessages)}${c.reset} msgs · ${formatNumber(totalTools)} tools · ${c.magenta}${formatTokens(totalTokens)}${c.reset} tokens`);
+  console.log();
+
+  const maxTokens = Math.max(...turns.map(t => t.tokens), 1);
+  for (const turn of turns) {
+    const offset = formatDuration(new Date(turn.start) - new Date(start));
+    const time = new Date(turn.start).toLocaleTimeString('en-US', { hourCycle: 'h23' });
+    const toolCounts = {};
+    for (const tool of turn.tools) toolCounts[tool] = (toolCounts[tool] || 0) + 1;
+    const tools = Object.entries(toolCounts).map(([name, n]) => n > 1 ? `${name}×${n}` : name).join(' ');
+    let prompt = turn.prompt.replace(/\s+/g, ' ').trim();
+    if (prompt.length > 40) prompt = `${prompt.slice(0, 39)}…`;
+
+    console.log(
+      `${c.dim}${time} +${pad(offset, 7)}${c.reset}` +
+      `${makeGradientBar(turn.tokens, maxTokens, 8)} ` +
+      `${c.magenta}${formatTokens(turn.tokens).padStart(6)}${c.reset} ` +
+      `${c.dim}${pad([...turn.models].join(',') || '-', 11)}${c.reset}` +
+      `${prompt ? `"${prompt}"` : c.dim + '(continued)' + c.reset}` +
+      `${tools ? ` ${c.cyan}${tools}${c.reset}` : ''}`
+    );
+  }
 }
 
-function printStats(data, quota = null) {
+function printStats(data, quota = null, profiles = null) {
   const activity = data.dailyActivity || [];
   const tokenData = data.dailyModelTokens || [];
   const now = new Date();
@@ -851,6 +4782,14 @@ function printStats(data, quota = null) {
   const thisMonthTokens = aggregateTokens(tokenData, thisMonth);
   const allTimeTokens = aggregateTokens(tokenData, activity);
 
+  // Estimated API-equivalent cost
+  const prices = loadPrices();
+  const estimateDaysCost = createCostEstimator(tokenData, prices);
+  const todayCost = estimateDaysCost(todayEntry ? [todayEntry] : []);
+  const last7Cost = estimateDaysCost(last7);
+  const thisMonthCost = estimateDaysCost(thisMonth);
+  const allTimeCost = estimateDaysCost(activity);
+
   const last7Stats = aggregateStats(last7);
   const prev7Stats = aggregateStats(prev7);
   const thisMonthStats = aggregateStats(thisMonth);
@@ -859,12 +4798,15 @@ function printStats(data, quota = null) {
   // Calculate streak
   const streak = calculateStreak(activity);
 
-  // Load goals
+  // Load goals and budgets
   const goals = loadGoals();
+  const budgets = evaluateBudgets(data, quota);
 
   // Header
-  printHeader();
-  console.log();
+  if (config.header) {
+    printHeader();
+    console.log();
+  }
 
   // Greeting
   const greeting = getGreeting();
@@ -873,113 +4815,280 @@ function printStats(data, quota = null) {
 
   // Cache status
   const auth = loadAuth();
-  const authStatus = auth ? `${c.green}●${c.reset} API connected` : `${c.dim}○ API not connected (--auth)${c.reset}`;
+  const authStatus = formatAuthStatus(auth);
+  const cacheLabel = `${profileArg ? `Profile: ${profileArg} · ` : ''}Cache: ${lastComputed}`;
   if (todayPending) {
-    console.log(`${c.dim}Cache: ${lastComputed} · Today pending${c.reset}  ${authStatus}`);
+    console.log(`${c.dim}${cacheLabel} · Today pending${c.reset}  ${authStatus}`);
+  } else if (todayEntry.live) {
+    console.log(`${c.dim}${cacheLabel} · Today live${c.reset}  ${authStatus}`);
   } else {
-    console.log(`${c.dim}Cache: ${lastComputed}${c.reset}  ${authStatus}`);
+    console.log(`${c.dim}${cacheLabel}${c.reset}  ${authStatus}`);
   }
   console.log();
 
-  // Streak & highlights
-  if (streak > 1) {
-    console.log(`${c.brightYellow}🔥 ${streak} day streak!${c.reset}`);
-    console.log();
-  }
+  // Dashboard sections, in the configured order
+  const filter = getActiveFilter(activity, now);
+  const sections = {
+    streak: {
+      show: streak > 1,
+      print: () => console.log(`${c.brightYellow}🔥 ${streak} day streak!${c.reset}`),
+    },
+    goals: {
+      show: Boolean(goals && showGoals),
+      print: () => printGoalsProgress(todayData.messageCount, last7Stats.messages, goals),
+    },
+    budgets: {
+      show: budgets.length > 0,
+      print: () => printBudgets(budgets),
+    },
+    quota: {
+      // Only when authenticated with OAuth
+      show: Boolean(quota),
+      print: () => printQuota(quota),
+    },
+    stats: {
+      show: true,
+      print: () => {
+        if (profiles) {
+          printProfilesTable(profiles);
+        } else if (filter) {
+          const stats = aggregateStats(filter.days);
+          const tokens = aggregateTokens(tokenData, filter.days);
+          const cost = estimateDaysCost(filter.days);
+
+          console.log(`${c.bold}${filter.label}${c.reset}`);
+          console.log(`${c.dim}─────────────────────${c.reset}`);
+          console.log(`${c.bold}Messages${c.reset}    ${c.yellow}${formatNumber(stats.messages)}${c.reset}`);
+          console.log(`${c.bold}Sessions${c.reset}    ${c.dim}${stats.sessions}${c.reset}`);
+          console.log(`${c.bold}Tools${c.reset}       ${c.dim}${formatNumber(stats.toolCalls)}${c.reset}`);
+          if (tokenSplitArg) {
+            const [split] = aggregateTokenSplit(getStandardPeriods(now));
+            console.log(`${c.bold}Tokens${c.reset}      ${c.magenta}${formatTokens(split.total)}${c.reset}`);
+            for (const [key, label] of TOKEN_CATEGORIES) {
+              console.log(`${c.dim}  ${pad(label, 10)}${formatTokens(split.totals[key])}${c.reset}`);
+            }
+            console.log(`${c.dim}  ${pad('hit rate', 10)}${Math.round(split.cacheHitRatio * 100)}%${c.reset}`);
+            console.log(`${c.bold}Cost${c.reset}        ${c.green}~${formatCost(estimateSplitCost(split.byModel, prices).total)}${c.reset}`);
+          } else {
+            console.log(`${c.bold}Tokens${c.reset}      ${c.magenta}${formatTokens(tokens.total)}${c.reset}`);
+            console.log(`${c.bold}Cost${c.reset}        ${c.green}${formatCostEstimate(cost)}${c.reset}`);
+          }
+        } else {
+          // Main stats table
+          const monthName = now.toLocaleString('default', { month: 'short' });
+          const trend7 = getTrend(last7Stats.messages, prev7Stats.messages);
+          const trendMonth = getTrend(thisMonthStats.messages, lastMonthStats.messages);
+
+          console.log(`${c.bold}           Today      Last 7d ${trend7}    ${monthName}  ${trendMonth}      All Time${c.reset}`);
+          console.log(`${c.dim}───────────────────────────────────────────────────────────${c.reset}`);
+
+          // Messages row with colors
+          const week7Color = getActivityColor(last7Stats.messages, config.thresholds.week);
+          const monthColor = getActivityColor(thisMonthStats.messages, config.thresholds.month);
+
+          let todayMsgCell;
+          if (todayPending) {
+            todayMsgCell = `${c.yellow}⏳ pending ${c.reset}`;
+          } else {
+            const todayColor = getActivityColor(todayData.messageCount, config.thresholds.today);
+            todayMsgCell = `${todayColor}${pad(formatNumber(todayData.messageCount), 10)}${c.reset}`;
+          }
 
-  // Goals progress (if set and enabled)
-  if (goals && showGoals) {
-    printGoalsProgress(todayData.messageCount, last7Stats.messages, goals);
-    console.log();
-  }
+          console.log(
+            `${c.bold}Messages${c.reset}   ` +
+            todayMsgCell +
+            `${week7Color}${pad(formatNumber(last7Stats.messages), 14)}${c.reset}` +
+            `${monthColor}${pad(formatNumber(thisMonthStats.messages), 14)}${c.reset}` +
+            `${c.yellow}${formatNumber(allTime.messages)}${c.reset}`
+          );
+
+          console.log(
+            `${c.bold}Sessions${c.reset}   ` +
+            `${c.dim}${pad(todayPending ? '-' : todayData.sessionCount, 11)}${c.reset}` +
+            `${c.dim}${pad(last7Stats.sessions, 14)}${c.reset}` +
+            `${c.dim}${pad(thisMonthStats.sessions, 14)}${c.reset}` +
+            `${c.dim}${allTime.sessions}${c.reset}`
+          );
+
+          console.log(
+            `${c.bold}Tools${c.reset}      ` +
+            `${c.dim}${pad(todayPending ? '-' : formatNumber(todayData.toolCallCount), 11)}${c.reset}` +
+            `${c.dim}${pad(formatNumber(last7Stats.toolCalls), 14)}${c.reset}` +
+            `${c.dim}${pad(formatNumber(thisMonthStats.toolCalls), 14)}${c.reset}` +
+            `${c.dim}${formatNumber(allTime.toolCalls)}${c.reset}`
+          );
+
+          if (tokenSplitArg) {
+            // Transcript-based: today is available even while the cache is pending
+            const splits = aggregateTokenSplit(getStandardPeriods(now));
+            const row = (label, color, values) => console.log(
+              label +
+              `${color}${pad(values[0], 11)}${c.reset}` +
+              `${color}${pad(values[1], 14)}${c.reset}` +
+              `${color}${pad(values[2], 14)}${c.reset}` +
+              `${color}${values[3]}${c.reset}`
+            );
+
+            row(`${c.bold}Tokens${c.reset}     `, c.magenta, splits.map(sp => formatTokens(sp.total)));
+            for (const [key, label] of TOKEN_CATEGORIES) {
+              row(`${c.dim}  ${pad(label, 9)}${c.reset}`, c.dim, splits.map(sp => formatTokens(sp.totals[key])));
+            }
+            row(`${c.dim}  ${pad('hit rate', 9)}${c.reset}`, c.cyan, splits.map(sp => `${Math.round(sp.cacheHitRatio * 100)}%`));
+            row(`${c.bold}Cost${c.reset}       `, c.green, splits.map(sp => `~${formatCost(estimateSplitCost(sp.byModel, prices).total)}`));
+          } else {
+            console.log(
+              `${c.bold}Tokens${c.reset}     ` +
+              `${c.magenta}${pad(todayPending ? '-' : formatTokens(todayTokens.total), 11)}${c.reset}` +
+              `${c.magenta}${pad(formatTokens(last7Tokens.total), 14)}${c.reset}` +
+              `${c.magenta}${pad(formatTokens(thisMonthTokens.total), 14)}${c.reset}` +
+              `${c.magenta}${formatTokens(allTimeTokens.total)}${c.reset}`
+            );
+
+            console.log(
+              `${c.bold}Cost${c.reset}       ` +
+              `${c.green}${pad(todayPending ? '-' : formatCostEstimate(todayCost), 11)}${c.reset}` +
+              `${c.green}${pad(formatCostEstimate(last7Cost), 14)}${c.reset}` +
+              `${c.green}${pad(formatCostEstimate(thisMonthCost), 14)}${c.reset}` +
+              `${c.green}${formatCostEstimate(allTimeCost)}${c.reset}`
+            );
+          }
 
-  // Quota display (if authenticated with OAuth)
-  if (quota) {
-    printQuota(quota);
-    console.log();
-  }
+        }
+      },
+    },
+    models: {
+      // Model mix for the last week
+      show: !filter && last7Tokens.total > 0,
+      print: () => printModelMix(aggregateModels(last7Tokens.byModel), 'last 7 days'),
+    },
+    heatmap: {
+      // Full calendar when it fits, otherwise the last few weeks
+      show: !filter,
+      print: () => {
+        if (getCalendarWidth(getCalendarWeeks()) <= (process.stdout.columns || 80)) {
+          printCalendar(activity);
+        } else {
+          printHeatmap(activity, config.heatmapDays);
+        }
+      },
+    },
+    chart: {
+      show: !filter,
+      print: () => printDailyChart(activity, config.chartDays),
+    },
+  };
 
-  // Filter mode display
-  if (filterToday || filterWeek || filterMonth) {
-    const filterName = filterToday ? 'Today' : filterWeek ? 'Last 7 Days' : 'This Month';
-    const filtered = filterToday ? [todayData] : filterWeek ? last7 : thisMonth;
-    const stats = aggregateStats(filtered);
+  config.sections.filter(name => sections[name].show).forEach((name, i) => {
+    if (i > 0) console.log();
+    sections[name].print();
+  });
 
-    console.log(`${c.bold}${filterName}${c.reset}`);
-    console.log(`${c.dim}─────────────────────${c.reset}`);
-    console.log(`${c.bold}Messages${c.reset}    ${c.yellow}${formatNumber(stats.messages)}${c.reset}`);
-    console.log(`${c.bold}Sessions${c.reset}    ${c.dim}${stats.sessions}${c.reset}`);
-    console.log(`${c.bold}Tools${c.reset}       ${c.dim}${formatNumber(stats.toolCalls)}${c.reset}`);
-    console.log();
-  } else {
-    // Main stats table
-    const monthName = now.toLocaleString('default', { month: 'short' });
-    const trend7 = getTrend(last7Stats.messages, prev7Stats.messages);
-    const trendMonth = getTrend(thisMonthStats.messages, lastMonthStats.messages);
+  printWatchFooter();
+}
 
-    console.log(`${c.bold}           Today      Last 7d ${trend7}    ${monthName}  ${trendMonth}      All Time${c.reset}`);
-    console.log(`${c.dim}───────────────────────────────────────────────────────────${c.reset}`);
+// Footer - no newline at end so updateProgressBar can overwrite with \r
+function printWatchFooter() {
+  if (!watchMode) return;
+  console.log();
+  const spinner = spinnerFrames[spinnerIndex];
+  const seconds = Math.ceil(refreshInterval / 1000);
+  process.stdout.write(`${c.cyan}${spinner}${c.reset} ${c.dim}Next refresh in ${seconds}s${c.reset} ${c.cyan}${spinner}${c.reset} ${c.dim}q=quit r=refresh g=goals${c.reset}`);
+}
 
-    // Messages row with colors
-    const week7Color = getActivityColor(last7Stats.messages, 30000);
-    const monthColor = getActivityColor(thisMonthStats.messages, 100000);
+const MODEL_COLORS = [c.magenta, c.cyan, c.green, c.yellow, c.blue, c.brightMagenta, c.brightCyan, c.brightGreen];
 
-    let todayMsgCell;
-    if (todayPending) {
-      todayMsgCell = `${c.yellow}⏳ pending ${c.reset}`;
-    } else {
-      const todayColor = getActivityColor(todayData.messageCount, 5000);
-      todayMsgCell = `${todayColor}${pad(formatNumber(todayData.messageCount), 10)}${c.reset}`;
-    }
+// "claude-opus-4-20250514" -> "Opus 4", "claude-3-5-haiku-20241022" -> "Haiku 3.5"
+function formatModelName(modelId) {
+  const { family, version } = parseModelId(modelId);
+  if (!family) return modelId;
+  const name = family[0].toUpperCase() + family.slice(1);
+  return version ? `${name} ${version}` : name;
+}
 
-    console.log(
-      `${c.bold}Messages${c.reset}   ` +
-      todayMsgCell +
-      `${week7Color}${pad(formatNumber(last7Stats.messages), 14)}${c.reset}` +
-      `${monthColor}${pad(formatNumber(thisMonthStats.messages), 14)}${c.reset}` +
-      `${c.yellow}${formatNumber(allTime.messages)}${c.reset}`
-    );
+// Merge dated model IDs under their friendly name, largest first
+function aggregateModels(byModel) {
+  const groups = {};
+  for (const [modelId, tokens] of Object.entries(byModel)) {
+    const name = formatModelName(modelId);
+    groups[name] = groups[name] || { name, tokens: 0, modelIds: [] };
+    groups[name].tokens += tokens;
+    groups[name].modelIds.push(modelId);
+  }
 
-    console.log(
-      `${c.bold}Sessions${c.reset}   ` +
-      `${c.dim}${pad(todayPending ? '-' : todayData.sessionCount, 11)}${c.reset}` +
-      `${c.dim}${pad(last7Stats.sessions, 14)}${c.reset}` +
-      `${c.dim}${pad(thisMonthStats.sessions, 14)}${c.reset}` +
-      `${c.dim}${allTime.sessions}${c.reset}`
-    );
+  const total = Object.values(groups).reduce((sum, g) => sum + g.tokens, 0);
+  return Object.values(groups)
+    .filter(g => g.tokens > 0)
+    .sort((a, b) => b.tokens - a.tokens)
+    .map(g => ({ ...g, share: total > 0 ? g.tokens / total : 0 }));
+}
 
-    console.log(
-      `${c.bold}Tools${c.reset}      ` +
-      `${c.dim}${pad(todayPending ? '-' : formatNumber(todayData.toolCallCount), 11)}${c.reset}` +
-      `${c.dim}${pad(formatNumber(last7Stats.toolCalls), 14)}${c.reset}` +
-      `${c.dim}${pad(formatNumber(thisMonthStats.toolCalls), 14)}${c.reset}` +
-      `${c.dim}${formatNumber(allTime.toolCalls)}${c.reset}`
-    );
+function makeStackedBar(models, colors, width) {
+  let bar = '';
+  let used = 0;
+  models.forEach((m, i) => {
+    // Last segment takes the rounding remainder so the bar is always full width
+    const size = i === models.length - 1 ? width - used : Math.round(m.share * width);
+    bar += `${colors[m.name]}${'█'.repeat(Math.max(0, size))}${c.reset}`;
+    used += size;
+  });
+  return models.length ? bar : `${c.dim}${'░'.repeat(width)}${c.reset}`;
+}
 
-    console.log(
-      `${c.bold}Tokens${c.reset}     ` +
-      `${c.magenta}${pad(todayPending ? '-' : formatTokens(todayTokens.total), 11)}${c.reset}` +
-      `${c.magenta}${pad(formatTokens(last7Tokens.total), 14)}${c.reset}` +
-      `${c.magenta}${pad(formatTokens(thisMonthTokens.total), 14)}${c.reset}` +
-      `${c.magenta}${formatTokens(allTimeTokens.total)}${c.reset}`
-    );
+function getModelColors(names) {
+  return Object.fromEntries(names.map((name, i) => [name, MODEL_COLORS[i % MODEL_COLORS.length]]));
+}
 
-    console.log();
+function printModelMix(models, label) {
+  const colors = getModelColors(models.map(m => m.name));
+  console.log(`${c.bold}Models${c.reset} ${c.dim}(${label})${c.reset}`);
+  console.log(`  ${makeStackedBar(models, colors, 40)}`);
+  for (const m of models) {
+    const share = `${Math.round(m.share * 100)}%`.padStart(4);
+    console.log(`  ${colors[m.name]}●${c.reset} ${pad(m.name, 12)} ${c.magenta}${formatTokens(m.tokens).padStart(6)}${c.reset} ${share}`);
+  }
+}
 
-    // Activity heatmap (last 21 days, 3 weeks)
-    printHeatmap(activity, 21);
-    console.log();
+function printModels(data) {
+  const activity = data.dailyActivity || [];
+  const tokenData = data.dailyModelTokens || [];
+  const now = new Date();
+  const todayEntry = activity.find(d => d.date === formatDate(now));
+  const monthName = now.toLocaleString('default', { month: 'short' });
+
+  let periods = [
+    { label: 'Today', days: todayEntry ? [todayEntry] : [] },
+    { label: 'Last 7d', days: getLast7Days(activity) },
+    { label: monthName, days: getThisMonth(activity, now) },
+    { label: 'All Time', days: activity },
+  ];
+  const filter = getActiveFilter(activity, now);
+  if (filter) periods = [{ label: filter.label, days: filter.days }];
 
-    // Daily chart
-    printDailyChart(activity, 10);
+  for (const period of periods) {
+    period.models = aggregateModels(aggregateTokens(tokenData, period.days).byModel);
   }
 
-  // Footer - no newline at end so updateProgressBar can overwrite with \r
-  if (watchMode) {
-    console.log();
-    const spinner = spinnerFrames[spinnerIndex];
-    const seconds = Math.ceil(refreshInterval / 1000);
-    process.stdout.write(`${c.cyan}${spinner}${c.reset} ${c.dim}Next refresh in ${seconds}s${c.reset} ${c.cyan}${spinner}${c.reset} ${c.dim}q=quit r=refresh g=goals${c.reset}`);
+  // Colors follow all-time ranking so a model keeps its color across periods
+  const names = aggregateModels(aggregateTokens(tokenData, activity).byModel).map(m => m.name);
+  const colors = getModelColors(names);
+
+  console.log(`${c.bold}Models${c.reset}`);
+  console.log(`${c.bold}              ${periods.map(p => pad(p.label, 15)).join('')}${c.reset}`);
+  console.log(`${c.dim}${'─'.repeat(14 + periods.length * 15)}${c.reset}`);
+
+  for (const name of names) {
+    const cells = periods.map(p => {
+      const m = p.models.find(x => x.name === name);
+      if (!m) return `${c.dim}${pad('-', 15)}${c.reset}`;
+      const share = `${Math.round(m.share * 100)}%`.padStart(4);
+      return `${c.magenta}${formatTokens(m.tokens).padStart(6)}${c.reset} ${c.dim}${share}${c.reset}    `;
+    });
+    console.log(`${colors[name]}●${c.reset} ${pad(name, 12)}${cells.join('')}`);
+  }
+
+  console.log();
+  for (const period of periods) {
+    console.log(`  ${pad(period.label, 10)} ${makeStackedBar(period.models, colors, 40)}`);
   }
 }
 
@@ -1001,6 +5110,7 @@ function printGoalsProgress(todayMsgs, weekMsgs, goals) {
 
 function printQuota(quota) {
   console.log(`${c.bold}Quota${c.reset} ${c.dim}(live)${c.reset}`);
+  const history = loadQuotaHistory();
 
   // 5-hour limit
   if (quota.five_hour) {
@@ -1009,6 +5119,8 @@ function printQuota(quota) {
     const resetTime = formatTimeUntil(quota.five_hour.resets_at);
     const resetLabel = resetTime ? `${c.dim}resets in ${resetTime}${c.reset}` : '';
     console.log(`  5-hour  ${bar} ${pct}% ${resetLabel}`);
+    const forecast = formatForecast(forecastQuota(history, 'five_hour', quota.five_hour));
+    if (forecast) console.log(`          ${forecast}`);
   }
 
   // 7-day limit
@@ -1018,22 +5130,28 @@ function printQuota(quota) {
     const resetTime = formatTimeUntil(quota.seven_day.resets_at);
     const resetLabel = resetTime ? `${c.dim}resets in ${resetTime}${c.reset}` : '';
     console.log(`  7-day   ${bar} ${pct}% ${resetLabel}`);
+    const forecast = formatForecast(forecastQuota(history, 'seven_day', quota.seven_day));
+    if (forecast) console.log(`          ${forecast}`);
   }
 }
 
 function makeQuotaBar(percent, width) {
   const filled = Math.round((percent / 100) * width);
   const empty = width - filled;
-
-  let color = c.green;
-  if (percent >= 90) color = c.brightRed;
-  else if (percent >= 75) color = c.red;
-  else if (percent >= 50) color = c.yellow;
-  else if (percent >= 25) color = c.cyan;
+  const color = getQuotaColor(percent);
 
   return `${color}${'█'.repeat(filled)}${c.dim}${'░'.repeat(empty)}${c.reset}`;
 }
 
+function getQuotaColor(percent) {
+  const cutoffs = config.quotaColors;
+  if (percent >= cutoffs.brightRed) return c.brightRed;
+  if (percent >= cutoffs.red) return c.red;
+  if (percent >= cutoffs.yellow) return c.yellow;
+  if (percent >= cutoffs.cyan) return c.cyan;
+  return c.green;
+}
+
 function makeProgressBar(percent, width) {
   const filled = Math.round((percent / 100) * width);
   const empty = width - filled;
@@ -1061,7 +5179,9 @@ function printHeader() {
 function printHeatmap(activity, days) {
   console.log(`${c.bold}Activity Heatmap${c.reset} ${c.dim}(last ${days} days)${c.reset}`);
 
-  const recent = activity.slice(-days);
+  const today = formatDate(new Date());
+  const [y, m, d] = today.split('-').map(Number);
+  const recent = getDailySeries(activity, utcDateStr(y, m - 1, d - days + 1), today);
   const maxMsgs = Math.max(...recent.map(d => d.messageCount), 1);
 
   // Build heatmap row
@@ -1076,22 +5196,110 @@ function printHeatmap(activity, days) {
   }
 
   // Day labels
-  const now = new Date();
-  const startDate = new Date(now);
-  startDate.setDate(startDate.getDate() - days + 1);
+  const startDate = new Date(`${recent[0].date}T00:00:00Z`);
 
   console.log(heatmap);
-  console.log(`${c.dim}${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }).padEnd(days - 6)}${'today'.padStart(5)}${c.reset}`);
+  console.log(`${c.dim}${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }).padEnd(days - 6)}${'today'.padStart(5)}${c.reset}`);
+}
+
+// One entry per calendar day from..to, zero-filled where the cache has no entry
+function getDailySeries(activity, from, to) {
+  const byDate = new Map(activity.map(d => [d.date, d]));
+  const [y, m, d] = from.split('-').map(Number);
+  const series = [];
+
+  for (let i = 0; ; i++) {
+    const date = utcDateStr(y, m - 1, d + i);
+    if (date > to) break;
+    series.push(byDate.get(date) || { date, messageCount: 0, sessionCount: 0, toolCallCount: 0 });
+  }
+
+  return series;
+}
+
+// Contribution calendar - weekday rows, week columns (Monday first), 2 chars per week
+let calendarWeeks; // parsed once
+
+function getCalendarWeeks() {
+  if (calendarWeeks !== undefined) return calendarWeeks;
+  calendarWeeks = config.calendarWeeks;
+  if (weeksIndex === -1) return calendarWeeks;
+
+  if (!/^\d+$/.test(weeksArg || '') || parseInt(weeksArg) < 1 || parseInt(weeksArg) > 520) {
+    console.error(`${c.red}Error: Invalid --weeks value '${weeksArg || ''}'${c.reset}`);
+    console.log(`${c.dim}Usage: claude-meter --calendar --weeks <1-520>${c.reset}`);
+    process.exit(1);
+  }
+  calendarWeeks = parseInt(weeksArg);
+  return calendarWeeks;
+}
+
+function getCalendarWidth(weeks) {
+  return 4 + weeks * 2;
+}
+
+function printCalendar(activity) {
+  const weeks = getCalendarWeeks();
+  const today = formatDate(new Date());
+  const [y, m, d] = today.split('-').map(Number);
+  const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const start = utcDateStr(y, m - 1, d - weekday - (weeks - 1) * 7);
+  const days = getDailySeries(activity, start, today);
+
+  const active = days.filter(day => day.messageCount > 0);
+  const total = active.reduce((sum, day) => sum + day.messageCount, 0);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      generated: new Date().toISOString(),
+      from: start,
+      to: today,
+      weeks,
+      activeDays: active.length,
+      messages: total,
+      days: days.map(day => ({ date: day.date, messages: day.messageCount })),
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${c.bold}Activity Calendar${c.reset} ${c.dim}(last ${weeks} weeks)${c.reset}`);
+
+  // Month label above the first week starting in that month, when there's room
+  let months = '';
+  for (let w = 0; w < weeks; w++) {
+    const first = days[w * 7].date;
+    const label = new Date(`${first}T00:00:00Z`).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+    const startsMonth = w === 0 ? Number(first.slice(8)) <= 7 : first.slice(5, 7) !== days[(w - 1) * 7].date.slice(5, 7);
+    if (startsMonth && months.length <= w * 2) months = months.padEnd(w * 2) + label;
+  }
+  console.log(`${c.dim}    ${months}${c.reset}`);
+
+  const max = Math.max(...days.map(day => day.messageCount), 1);
+  for (let row = 0; row < 7; row++) {
+    const cells = [];
+    for (let w = 0; w < weeks; w++) {
+      const day = days[w * 7 + row];
+      if (!day) break; // rest of the current week
+      cells.push(day.messageCount ? `${getHeatColor(day.messageCount / max)}■${c.reset}` : `${c.dim}·${c.reset}`);
+    }
+    // Label every other row, like GitHub
+    console.log(`${c.dim}${row % 2 === 0 ? WEEKDAYS[row] : '   '}${c.reset} ${cells.join(' ')}`);
+  }
+
+  const legend = [0.1, 0.3, 0.5, 0.7, 0.9].map(v => `${getHeatColor(v)}■${c.reset}`).join(' ');
+  console.log(`${c.dim}    ${active.length} active days · ${formatNumber(total)} messages · less ·${c.reset} ${legend} ${c.dim}more${c.reset}`);
 }
 
 function printDailyChart(activity, days) {
   console.log(`${c.bold}Daily Breakdown${c.reset}`);
 
-  const recent = activity.slice(-days);
-  const maxMsgs = Math.max(...recent.map(d => d.messageCount), 1);
-  const peakDay = recent.reduce((max, d) => d.messageCount > max.messageCount ? d : max, recent[0]);
+  // Every calendar day up to today, so idle days show as gaps
   const now = new Date();
   const todayStr = formatDate(now);
+  const [y, m, d] = todayStr.split('-').map(Number);
+  const recent = getDailySeries(activity, utcDateStr(y, m - 1, d - days + 1), todayStr);
+  const maxMsgs = Math.max(...recent.map(d => d.messageCount), 1);
+  const peakDay = recent.reduce((max, d) => d.messageCount > max.messageCount ? d : max, recent[0]);
 
   for (const day of recent) {
     const date = new Date(day.date);
@@ -1138,12 +5346,28 @@ function getActivityColor(value, highThreshold) {
   return c.brightRed;
 }
 
+// Percent change, or null when there's nothing to compare against
+function getChange(current, previous) {
+  if (previous === 0) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+function roundChange(change) {
+  return change === null ? null : Math.round(change);
+}
+
+// Within ±10% counts as flat
+function getTrendArrow(change) {
+  if (change === null) return '';
+  if (change > 10) return '↑';
+  if (change < -10) return '↓';
+  return '→';
+}
+
 function getTrend(current, previous) {
-  if (previous === 0) return ' ';
-  const diff = ((current - previous) / previous) * 100;
-  if (diff > 10) return `${c.green}↑${c.reset}`;
-  if (diff < -10) return `${c.red}↓${c.reset}`;
-  return `${c.dim}→${c.reset}`;
+  const arrow = getTrendArrow(getChange(current, previous));
+  const color = { '↑': c.green, '↓': c.red, '→': c.dim }[arrow];
+  return color ? `${color}${arrow}${c.reset}` : ' ';
 }
 
 function calculateStreak(activity) {
@@ -1188,6 +5412,134 @@ function aggregateStats(data) {
   };
 }
 
+// The period selected by --today/--week/--month or --from/--to, or null
+function getActiveFilter(activity, now) {
+  const range = getDateRange();
+  if (range) {
+    return {
+      period: 'range',
+      label: formatRangeLabel(range.from, range.to),
+      from: range.from,
+      to: range.to,
+      days: activity.filter(d => d.date >= range.from && d.date <= range.to),
+    };
+  }
+  if (filterToday) {
+    const todayStr = formatDate(now);
+    return { period: 'today', label: 'Today', days: activity.filter(d => d.date === todayStr) };
+  }
+  if (filterWeek) return { period: 'week', label: 'Last 7 Days', days: getLast7Days(activity) };
+  if (filterMonth) return { period: 'month', label: 'This Month', days: getThisMonth(activity, now) };
+  return null;
+}
+
+// The same selection as getActiveFilter, as inclusive date bounds (for transcripts)
+function getActiveRange(now) {
+  const range = getDateRange();
+  const today = formatDate(now);
+  const [y, m, d] = today.split('-').map(Number);
+
+  if (range) return { ...range, label: formatRangeLabel(range.from, range.to) };
+  if (filterToday) return { from: today, to: today, label: 'Today' };
+  if (filterWeek) return { from: utcDateStr(y, m - 1, d - 6), to: today, label: 'Last 7 Days' };
+  if (filterMonth) return { from: utcDateStr(y, m - 1, 1), to: today, label: 'This Month' };
+  return null;
+}
+
+let dateRange; // parsed once at startup (see main), undefined until then
+
+function getDateRange() {
+  if (dateRange !== undefined) return dateRange;
+  dateRange = null;
+  if (!fromArg && !toArg) return dateRange;
+
+  const today = formatDate(new Date());
+  const from = fromArg ? parseDateExpression(fromArg, today) : null;
+  const to = toArg ? parseDateExpression(toArg, today) : null;
+
+  for (const [flag, value, parsed] of [['--from', fromArg, from], ['--to', toArg, to]]) {
+    if (value !== null && !parsed) {
+      console.error(`${c.red}Error: Invalid ${flag} value '${value || ''}'${c.reset}`);
+      console.log(`${c.dim}Use YYYY-MM-DD, 7d, 4w, 3m, yesterday, this-week, last-month, this-quarter, ytd...${c.reset}`);
+      process.exit(1);
+    }
+  }
+
+  // --from alone runs through today
+  dateRange = {
+    from: from ? from.start : '0000-01-01',
+    to: to ? to.end : today,
+  };
+  if (dateRange.from > dateRange.to) {
+    console.error(`${c.red}Error: --from ${dateRange.from} is after --to ${dateRange.to}${c.reset}`);
+    process.exit(1);
+  }
+  return dateRange;
+}
+
+// Date arithmetic is done on UTC calendar dates, matching formatDate()
+function utcDateStr(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+function parseDateExpression(expr, today) {
+  if (!expr) return null;
+  const value = expr.toLowerCase();
+  const [y, m, d] = today.split('-').map(Number);
+  const month = m - 1;
+  const quarterStart = Math.floor(month / 3) * 3;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [yy, mm, dd] = value.split('-').map(Number);
+    const normalized = utcDateStr(yy, mm - 1, dd);
+    return normalized === value ? { start: value, end: value } : null; // rejects 2026-02-31
+  }
+
+  const relative = value.match(/^(\d+)([dwm])$/);
+  if (relative) {
+    const n = parseInt(relative[1]);
+    if (n < 1) return null;
+    if (relative[2] === 'd') return { start: utcDateStr(y, month, d - n + 1), end: today };
+    if (relative[2] === 'w') return { start: utcDateStr(y, month, d - n * 7 + 1), end: today };
+    // Same day n months back, clamped to that month's length (1m on Mar 31 starts Mar 1)
+    const lastDay = new Date(Date.UTC(y, month - n + 1, 0)).getUTCDate();
+    return { start: utcDateStr(y, month - n, Math.min(d, lastDay) + 1), end: today };
+  }
+
+  // Weeks start on Monday
+  const weekday = (new Date(Date.UTC(y, month, d)).getUTCDay() + 6) % 7;
+
+  switch (value) {
+    case 'today': return { start: today, end: today };
+    case 'yesterday': {
+      const yesterday = utcDateStr(y, month, d - 1);
+      return { start: yesterday, end: yesterday };
+    }
+    case 'this-week': return { start: utcDateStr(y, month, d - weekday), end: today };
+    case 'last-week': return { start: utcDateStr(y, month, d - weekday - 7), end: utcDateStr(y, month, d - weekday - 1) };
+    case 'this-month': return { start: utcDateStr(y, month, 1), end: today };
+    case 'last-month': return { start: utcDateStr(y, month - 1, 1), end: utcDateStr(y, month, 0) };
+    case 'this-quarter': return { start: utcDateStr(y, quarterStart, 1), end: today };
+    case 'last-quarter': return { start: utcDateStr(y, quarterStart - 3, 1), end: utcDateStr(y, quarterStart, 0) };
+    case 'this-year':
+    case 'ytd': return { start: utcDateStr(y, 0, 1), end: today };
+    case 'last-year': return { start: utcDateStr(y - 1, 0, 1), end: utcDateStr(y - 1, 11, 31) };
+    default: return null;
+  }
+}
+
+function formatRangeLabel(from, to) {
+  const currentYear = new Date().getUTCFullYear();
+  const label = (dateStr) => {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    const options = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+    if (date.getUTCFullYear() !== currentYear) options.year = 'numeric';
+    return date.toLocaleDateString('en-US', options);
+  };
+  if (from === '0000-01-01') return `Until ${label(to)}`;
+  return from === to ? label(from) : `${label(from)} – ${label(to)}`;
+}
+
 function getLast7Days(activity) {
   const cutoff = new Date();
   cutoff.setDate(cutoff.getDate() - 7);
@@ -1240,4 +5592,8 @@ function pad(str, len) {
   return String(str).padEnd(len);
 }
 
-main();
+main().catch(err => {
+  if (watchMode) process.stdout.write(c.showCursor);
+  console.error(`${c.red}Error: ${err.message}${c.reset}`);
+  process.exit(1);
+});